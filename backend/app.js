@@ -13,6 +13,14 @@ const __dirname = path.dirname(__filename);
 // Importar rutas
 import clientsRoutes from "./src/routes/clients.js";
 import reservationsRoutes from "./src/routes/reservations.js";
+import calendarRoutes from "./src/routes/calendar.js";
+import servicesRoutes from "./src/routes/services.js";
+import quotesRoutes from "./src/routes/quotes.js";
+import invoicesRoutes from "./src/routes/invoices.js";
+import partsRoutes from "./src/routes/parts.js";
+import techniciansRoutes from "./src/routes/technicians.js";
+import webhooksRoutes from "./src/routes/webhooks.js";
+import statsRoutes from "./src/routes/stats.js";
 
 const app = express();
 
@@ -49,6 +57,20 @@ const swaggerOptions = {
           : "Servidor de desarrollo",
       },
     ],
+    components: {
+      securitySchemes: {
+        cookieAuth: {
+          type: "apiKey",
+          in: "cookie",
+          name: "authToken",
+        },
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+    },
   },
   apis: [path.join(__dirname, "src", "routes", "*.js")], // Ruta absoluta a los archivos de rutas
 };
@@ -59,6 +81,14 @@ app.use("/api-docs", swaggerUI.serve, swaggerUI.setup(specs));
 // Rutas principales
 app.use("/api/clients", clientsRoutes);
 app.use("/api/reservations", reservationsRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/services", servicesRoutes);
+app.use("/api/quotes", quotesRoutes);
+app.use("/api/invoices", invoicesRoutes);
+app.use("/api/parts", partsRoutes);
+app.use("/api/technicians", techniciansRoutes);
+app.use("/api/webhooks", webhooksRoutes);
+app.use("/api/stats", statsRoutes);
 
 // Ruta de bienvenida
 app.get("/", (req, res) => {
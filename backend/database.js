@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { config } from "./src/config.js";
+import Service from "./src/models/Service.js";
 
 // Conectar la base de datos
 mongoose.connect(config.db.URI);
@@ -8,8 +9,15 @@ mongoose.connect(config.db.URI);
 const connection = mongoose.connection;
 
 // Verificar conexión exitosa
-connection.once("open", () => {
+connection.once("open", async () => {
   console.log("Database connected successfully");
+
+  // Crear el catálogo de servicios inicial si está vacío
+  try {
+    await Service.seedDefaults();
+  } catch (error) {
+    console.log("Error creating default services:", error);
+  }
 });
 
 // Verificar si se desconectó
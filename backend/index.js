@@ -1,9 +1,17 @@
 import app from "./app.js";
 import "./database.js";
 import { config } from "./src/config.js";
+import { registerNotifications } from "./src/notifications/index.js";
+import { registerWebhooks } from "./src/webhooks/index.js";
+import { startJobs } from "./src/jobs/index.js";
 
 // Función que se encarga de ejecutar el servidor
 async function main() {
+  // Suscribir las notificaciones y los webhooks a los eventos e iniciar los trabajos en segundo plano
+  registerNotifications();
+  registerWebhooks();
+  startJobs();
+
   app.listen(config.server.port);
   console.log("Server running on port " + config.server.port);
 }
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import "../database.js";
+import Reservation from "../src/models/Reservation.js";
+import { getServiceDuration } from "../src/utils/scheduling.js";
+
+// Calcula la fecha de finalización de las reservas creadas antes de que existiera endDate
+// Sin ella, esas reservas no cuentan al verificar la capacidad del taller ni los cruces de horario
+// Uso: npm run backfill-end-dates
+async function main() {
+  const reservations = await Reservation.find({ endDate: { $exists: false } })
+    .select("service scheduledDate");
+
+  // La duración se consulta una sola vez por servicio
+  const durations = new Map();
+
+  for (const reservation of reservations) {
+    if (!durations.has(reservation.service)) {
+      durations.set(reservation.service, await getServiceDuration(reservation.service));
+    }
+
+    const endDate = new Date(
+      reservation.scheduledDate.getTime() + durations.get(reservation.service) * 60000
+    );
+
+    // Se usa updateOne para no volver a validar reservas con fechas pasadas
+    await Reservation.updateOne({ _id: reservation._id }, { endDate });
+  }
+
+  console.log(`Reservas actualizadas: ${reservations.length}`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Error al calcular las fechas de finalización:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
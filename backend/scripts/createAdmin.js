@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import "../database.js";
+import Client from "../src/models/Client.js";
+import { ROLES } from "../src/permissions.js";
+
+// Asigna el rol de administrador a un cliente existente
+// Uso: npm run create-admin -- correo@example.com
+async function main() {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.log("Uso: npm run create-admin -- <email>");
+    process.exit(1);
+  }
+
+  const client = await Client.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: ROLES.ADMIN },
+    { new: true }
+  );
+
+  if (!client) {
+    console.log("Cliente no encontrado: " + email);
+  } else {
+    console.log("Cliente " + client.email + " ahora es administrador");
+  }
+
+  await mongoose.disconnect();
+}
+
+main();
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import "../database.js";
+import Client from "../src/models/Client.js";
+
+// Encripta las contraseñas que quedaron guardadas en texto plano
+// Antes, actualizar un cliente con PUT /api/clients/:id guardaba la contraseña sin encriptar
+// Uso: npm run hash-plain-passwords
+async function main() {
+  // Los hashes de bcrypt empiezan por $2a$, $2b$ o $2y$
+  const clients = await Client.find({ password: { $not: /^\$2[aby]\$/ } });
+
+  for (const client of clients) {
+    // Al marcar la contraseña como modificada, el middleware de save la encripta
+    client.markModified("password");
+    await client.save();
+    console.log("Contraseña encriptada: " + client.email);
+  }
+
+  console.log(clients.length + " contraseñas encriptadas");
+
+  await mongoose.disconnect();
+}
+
+main();
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import "../database.js";
+import Reservation from "../src/models/Reservation.js";
+import Vehicle from "../src/models/Vehicle.js";
+
+// Crea vehículos a partir del texto libre de las reservas que no tienen vehicleId
+// Uso: npm run migrate-vehicles
+// Las reservas de un mismo cliente con el mismo texto quedan asociadas al mismo vehículo
+
+// Límites del modelo Vehicle; la descripción de la reserva admite hasta 100 caracteres
+const MAX_FIELD_LENGTH = 50;
+const MIN_YEAR = 1900;
+const MAX_YEAR = new Date().getFullYear() + 1;
+
+// Separar el texto libre en marca, modelo y año (ej. "Toyota Corolla 2020")
+// La marca y el modelo se recortan y un año fuera de rango se deja como parte del modelo
+const parseVehicle = (text) => {
+  const words = text.trim().split(/\s+/);
+  const lastWord = Number(words[words.length - 1]);
+  let year;
+  if (words.length > 1 && Number.isInteger(lastWord) && lastWord >= MIN_YEAR && lastWord <= MAX_YEAR) {
+    year = lastWord;
+    words.pop();
+  }
+  const [make, ...model] = words;
+  return {
+    make: make.slice(0, MAX_FIELD_LENGTH),
+    model: (model.join(" ") || "Sin especificar").slice(0, MAX_FIELD_LENGTH).trim(),
+    year
+  };
+};
+
+async function main() {
+  const reservations = await Reservation.find({ vehicleId: { $exists: false } })
+    .select("clientId vehicle");
+
+  const vehicles = new Map();
+  const failed = [];
+  let created = 0;
+
+  for (const reservation of reservations) {
+    const key = `${reservation.clientId}:${reservation.vehicle.trim().toLowerCase()}`;
+
+    // Una reserva que no se puede migrar se informa al final y no detiene las demás;
+    // al ejecutar el script de nuevo solo se procesan las que quedaron sin vehicleId
+    try {
+      let vehicleId = vehicles.get(key);
+      if (!vehicleId) {
+        const vehicle = await Vehicle.create({
+          clientId: reservation.clientId,
+          ...parseVehicle(reservation.vehicle)
+        });
+        vehicleId = vehicle._id;
+        vehicles.set(key, vehicleId);
+        created++;
+      }
+
+      // Se usa updateOne para no volver a validar reservas con fechas pasadas
+      await Reservation.updateOne({ _id: reservation._id }, { vehicleId });
+    } catch (error) {
+      failed.push({ id: reservation._id, vehicle: reservation.vehicle, error: error.message });
+    }
+  }
+
+  console.log(
+    `Reservas migradas: ${reservations.length - failed.length}, vehículos creados: ${created}`
+  );
+
+  if (failed.length) {
+    console.error(`Reservas sin migrar: ${failed.length}`);
+    failed.forEach(({ id, vehicle, error }) => console.error(`- ${id} ("${vehicle}"): ${error}`));
+    process.exitCode = 1;
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Error al migrar los vehículos:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -3,15 +3,119 @@ import dotenv from "dotenv";
 // Ejecutar dotenv para acceder al archivo .env
 dotenv.config();
 
+// Horario de atención de lunes a viernes
+const weekdayOpening = process.env.WORKSHOP_OPENING_TIME || "08:00";
+const weekdayClosing = process.env.WORKSHOP_CLOSING_TIME || "18:00";
+
 export const config = {
   db: {
     URI: process.env.DB_URI,
   }, 
   server: {
     port: process.env.PORT || 3000,
+    // URL pública de la API para los enlaces que se comparten fuera de ella (por ejemplo, el calendario)
+    publicUrl: process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL,
   },
   JWT: {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES,
   },
+  accounts: {
+    // URL de la aplicación web; los enlaces de los correos de la cuenta apuntan a ella
+    appUrl: process.env.APP_URL || "http://localhost:5173",
+    // Minutos de validez del enlace para restablecer la contraseña
+    passwordResetTtl: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Horas de validez del enlace para verificar el email
+    emailVerificationTtl: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+    // Exigir el email verificado para que un cliente pueda reservar por su cuenta
+    requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === "true",
+  },
+  workshop: {
+    // Número de bahías de servicio (reservas simultáneas)
+    bays: Number(process.env.WORKSHOP_BAYS) || 3,
+    // Zona horaria del taller (IANA); define el horario de atención, los días y los periodos de las estadísticas
+    timezone: process.env.WORKSHOP_TIMEZONE || "America/Bogota",
+    // Horario de atención por día de la semana (0 = domingo, null = cerrado)
+    // Horas en la zona horaria del taller, formato HH:mm
+    schedule: {
+      0: null,
+      1: { open: weekdayOpening, close: weekdayClosing },
+      2: { open: weekdayOpening, close: weekdayClosing },
+      3: { open: weekdayOpening, close: weekdayClosing },
+      4: { open: weekdayOpening, close: weekdayClosing },
+      5: { open: weekdayOpening, close: weekdayClosing },
+      6: process.env.WORKSHOP_SATURDAY_CLOSED === "true"
+        ? null
+        : {
+            open: process.env.WORKSHOP_SATURDAY_OPENING_TIME || "08:00",
+            close: process.env.WORKSHOP_SATURDAY_CLOSING_TIME || "13:00",
+          },
+    },
+    // Intervalo en minutos entre los horarios ofrecidos para reservar
+    slotInterval: Number(process.env.WORKSHOP_SLOT_INTERVAL) || 30,
+    // Duración en minutos para servicios que ya no están en el catálogo
+    defaultServiceDuration: 60,
+  },
+  billing: {
+    // Tasa de impuesto aplicada a cotizaciones y facturas (0.19 = 19 %)
+    taxRate: process.env.TAX_RATE !== undefined ? Number(process.env.TAX_RATE) : 0.19,
+    invoicePrefix: process.env.INVOICE_PREFIX || "FAC-",
+    // Moneda en la que se muestran los valores (código ISO 4217)
+    currency: process.env.CURRENCY || "COP",
+    // Exigir una cotización aprobada antes de iniciar cualquier trabajo
+    requireQuoteApproval: process.env.REQUIRE_QUOTE_APPROVAL === "true",
+  },
+  mail: {
+    // Transporte de correo: "smtp" o "log" (solo escribe los correos en consola)
+    transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "log"),
+    from: process.env.MAIL_FROM || "Part Plus <no-reply@partplus.com>",
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+  reminders: {
+    // Horas antes de la fecha programada en las que se envía un recordatorio
+    offsets: (process.env.REMINDER_OFFSETS || "24,2")
+      .split(",")
+      .map(Number)
+      .filter((hours) => hours > 0),
+    // Cada cuántos milisegundos se buscan reservas por recordar
+    interval: Number(process.env.REMINDER_INTERVAL) || 60000,
+  },
+  noShows: {
+    // Minutos después de la hora programada tras los que una reserva pendiente se marca como no presentada
+    gracePeriod: Number(process.env.NO_SHOW_GRACE_MINUTES) || 60,
+    // Inasistencias a partir de las cuales el cliente no puede reservar por su cuenta (0 = sin límite)
+    limit: Number(process.env.NO_SHOW_LIMIT) || 0,
+    // Cada cuántos milisegundos se buscan reservas vencidas
+    interval: Number(process.env.NO_SHOW_INTERVAL) || 300000,
+  },
+  outbox: {
+    // Cada cuántos milisegundos se procesan los mensajes pendientes
+    pollInterval: Number(process.env.OUTBOX_POLL_INTERVAL) || 10000,
+    // Intentos antes de marcar un mensaje como fallido
+    maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5,
+    // Espera base en milisegundos; se duplica en cada reintento
+    retryDelay: Number(process.env.OUTBOX_RETRY_DELAY) || 60000,
+  },
+  webhooks: {
+    // Cada cuántos milisegundos se procesan las entregas pendientes
+    pollInterval: Number(process.env.WEBHOOK_POLL_INTERVAL) || 10000,
+    // Intentos antes de marcar una entrega como fallida
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    // Espera base en milisegundos; se duplica en cada reintento
+    retryDelay: Number(process.env.WEBHOOK_RETRY_DELAY) || 60000,
+    // Tiempo máximo en milisegundos para que el receptor responda
+    timeout: Number(process.env.WEBHOOK_TIMEOUT) || 10000,
+  },
+  import: {
+    // Filas que se insertan en cada lote al importar un CSV
+    batchSize: Number(process.env.IMPORT_BATCH_SIZE) || 500,
+    // Tamaño máximo del archivo CSV
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || "5mb",
+  },
 };
@@ -0,0 +1,255 @@
+import jwt from "jsonwebtoken";
+import Client from "../models/Client.js";
+import { config } from "../config.js";
+import { hashToken, buildAccountLink } from "../utils/accountTokens.js";
+import { enqueueAccountEmail } from "../notifications/index.js";
+import { ACCOUNT_EMAILS } from "../notifications/templates.js";
+
+// Opciones de la cookie de sesión
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax"
+};
+
+// Generar el token JWT de un cliente
+const generateToken = (client) => {
+  return jwt.sign({ id: client._id }, config.JWT.secret, {
+    expiresIn: config.JWT.expiresIn
+  });
+};
+
+// Generar el token de un cliente y guardarlo en la cookie de sesión
+const startSession = (res, client) => {
+  const token = generateToken(client);
+  const { exp } = jwt.decode(token);
+
+  res.cookie("authToken", token, {
+    ...cookieOptions,
+    expires: new Date(exp * 1000)
+  });
+
+  return token;
+};
+
+// Iniciar sesión
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const client = await Client.findOne({ email });
+    if (!client || !(await client.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Credenciales no válidas"
+      });
+    }
+
+    const token = startSession(res, client);
+
+    res.status(200).json({
+      success: true,
+      message: "Inicio de sesión exitoso",
+      token,
+      data: client
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al iniciar sesión",
+      error: error.message
+    });
+  }
+};
+
+// Cerrar sesión
+export const logout = async (req, res) => {
+  res.clearCookie("authToken", cookieOptions);
+
+  res.status(200).json({
+    success: true,
+    message: "Sesión cerrada exitosamente"
+  });
+};
+
+// Obtener el cliente autenticado
+export const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.client
+  });
+};
+
+// Cambiar la contraseña del cliente autenticado
+// Las sesiones iniciadas antes del cambio se cierran; la actual recibe un token nuevo
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const client = await Client.findById(req.client._id);
+    if (!(await client.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña actual no es correcta"
+      });
+    }
+
+    client.password = newPassword;
+    await client.save();
+
+    const token = startSession(res, client);
+
+    res.status(200).json({
+      success: true,
+      message: "Contraseña actualizada exitosamente; las demás sesiones se cerraron",
+      token
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al cambiar la contraseña",
+      error: error.message
+    });
+  }
+};
+
+// Solicitar el enlace para restablecer la contraseña
+// La respuesta es la misma si el email no está registrado, para no revelar qué emails tienen cuenta
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const client = await Client.findOne({ email });
+    if (client) {
+      const token = client.createPasswordResetToken();
+      await client.save();
+      await enqueueAccountEmail(
+        ACCOUNT_EMAILS.PASSWORD_RESET,
+        client,
+        buildAccountLink("/reset-password", token)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Si el email está registrado, recibirás un enlace para restablecer tu contraseña"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al solicitar el restablecimiento de la contraseña",
+      error: error.message
+    });
+  }
+};
+
+// Restablecer la contraseña con el token recibido por correo
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // El token se consume en la misma operación que lo busca, así solo puede usarse una vez
+    const client = await Client.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: "El enlace no es válido o ya expiró"
+      });
+    }
+
+    client.password = password;
+    // Quien recibió el enlace demostró que el email es suyo
+    client.emailVerified = true;
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Contraseña restablecida exitosamente; ya puedes iniciar sesión"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al restablecer la contraseña",
+      error: error.message
+    });
+  }
+};
+
+// Verificar el email con el token recibido por correo
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const client = await Client.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        emailVerified: true,
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: "El enlace no es válido o ya expiró"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verificado exitosamente",
+      data: client
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al verificar el email",
+      error: error.message
+    });
+  }
+};
+
+// Reenviar el enlace de verificación al email del cliente autenticado
+export const resendEmailVerification = async (req, res) => {
+  try {
+    const client = await Client.findById(req.client._id);
+
+    if (client.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Tu email ya está verificado"
+      });
+    }
+
+    const token = client.createEmailVerificationToken();
+    await client.save();
+    await enqueueAccountEmail(
+      ACCOUNT_EMAILS.EMAIL_VERIFICATION,
+      client,
+      buildAccountLink("/verify-email", token)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Te enviamos un nuevo enlace de verificación a ${client.email}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al reenviar la verificación del email",
+      error: error.message
+    });
+  }
+};
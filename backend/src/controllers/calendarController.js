@@ -0,0 +1,164 @@
+import Closure from "../models/Closure.js";
+import mongoose from "mongoose";
+import { config } from "../config.js";
+
+// Obtener el horario de atención semanal
+export const getSchedule = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: config.workshop.schedule
+  });
+};
+
+// Obtener los festivos y cierres
+export const getAllClosures = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    // Filtro por rango de fechas
+    const filters = {};
+    if (from || to) {
+      filters.date = {};
+      if (from) {
+        filters.date.$gte = from;
+      }
+      if (to) {
+        filters.date.$lte = to;
+      }
+    }
+
+    const closures = await Closure.find(filters).sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: closures
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los cierres",
+      error: error.message
+    });
+  }
+};
+
+// Crear un festivo o cierre
+export const createClosure = async (req, res) => {
+  try {
+    const { date, name, type } = req.body;
+
+    const existingClosure = await Closure.findOne({ date });
+    if (existingClosure) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un cierre registrado para esa fecha"
+      });
+    }
+
+    const newClosure = new Closure({ date, name, type });
+    const savedClosure = await newClosure.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Cierre creado exitosamente",
+      data: savedClosure
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un cierre registrado para esa fecha"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al crear el cierre",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un festivo o cierre
+export const updateClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, name, type } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cierre no válido"
+      });
+    }
+
+    const updatedClosure = await Closure.findByIdAndUpdate(
+      id,
+      { date, name, type },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!updatedClosure) {
+      return res.status(404).json({
+        success: false,
+        message: "Cierre no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Cierre actualizado exitosamente",
+      data: updatedClosure
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un cierre registrado para esa fecha"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el cierre",
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un festivo o cierre
+export const deleteClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cierre no válido"
+      });
+    }
+
+    const deletedClosure = await Closure.findByIdAndDelete(id);
+
+    if (!deletedClosure) {
+      return res.status(404).json({
+        success: false,
+        message: "Cierre no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Cierre eliminado exitosamente"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el cierre",
+      error: error.message
+    });
+  }
+};
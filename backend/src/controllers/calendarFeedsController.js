@@ -0,0 +1,127 @@
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { ROLES } from "../permissions.js";
+import { buildCalendar, ICS_CONTENT_TYPE } from "../utils/ical.js";
+import { config } from "../config.js";
+
+// Días hacia atrás que se incluyen en el calendario, para que las reservas recientes no desaparezcan apenas pasan
+const FEED_PAST_DAYS = 7;
+
+// Generar un token aleatorio para la URL del calendario
+const createCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+// URL pública del calendario de un token
+const buildFeedUrl = (req, token) => {
+  const baseUrl = config.server.publicUrl || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/api/calendar/feeds/${token}.ics`;
+};
+
+// Buscar al cliente con su token de calendario
+const findClientWithToken = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return Client.findById(id).select("+calendarToken");
+};
+
+// Obtener la URL del calendario de un cliente o técnico
+// El token se genera la primera vez que se consulta
+export const getCalendarFeedUrl = async (req, res) => {
+  try {
+    const client = await findClientWithToken(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    if (!client.calendarToken) {
+      client.calendarToken = createCalendarToken();
+      await client.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: buildFeedUrl(req, client.calendarToken)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener la URL del calendario",
+      error: error.message
+    });
+  }
+};
+
+// Generar una nueva URL del calendario; la anterior deja de funcionar
+export const resetCalendarFeedUrl = async (req, res) => {
+  try {
+    const client = await findClientWithToken(req.params.id);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    client.calendarToken = createCalendarToken();
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: "URL del calendario regenerada; la anterior ya no funciona",
+      data: {
+        url: buildFeedUrl(req, client.calendarToken)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al regenerar la URL del calendario",
+      error: error.message
+    });
+  }
+};
+
+// Obtener el calendario (.ics) de un token
+// Los técnicos reciben las reservas que tienen asignadas y los demás usuarios sus propias reservas
+// Las reservas canceladas se incluyen para que la aplicación de calendario las marque como canceladas
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const owner = await Client.findOne({ calendarToken: req.params.token });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: "Calendario no encontrado"
+      });
+    }
+
+    const isTechnician = owner.role === ROLES.MECHANIC;
+    const filters = isTechnician ? { assignedTo: owner._id } : { clientId: owner._id };
+    filters.scheduledDate = { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60000) };
+
+    const reservations = await Reservation.find(filters)
+      .populate("clientId", "name email phone")
+      .sort({ scheduledDate: 1 });
+
+    const name = isTechnician ? `Part Plus - Agenda de ${owner.name}` : "Part Plus - Mis reservas";
+
+    res.setHeader("Content-Type", ICS_CONTENT_TYPE);
+    res.setHeader("Content-Disposition", "inline; filename=\"part-plus.ics\"");
+    res.status(200).send(buildCalendar(reservations, { name }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el calendario",
+      error: error.message
+    });
+  }
+};
@@ -1,19 +1,36 @@
 import Client from "../models/Client.js";
 import mongoose from "mongoose";
+import { CLIENT_EVENTS, emitClientEvent } from "../events.js";
+import { buildClientFilters } from "../utils/filters.js";
+import { streamExport } from "../utils/export.js";
+import { formatDay } from "../utils/businessCalendar.js";
+import { buildAccountLink } from "../utils/accountTokens.js";
+import { enqueueAccountEmail } from "../notifications/index.js";
+import { ACCOUNT_EMAILS } from "../notifications/templates.js";
+
+// Columnas de la exportación de clientes (nunca incluye la contraseña)
+const EXPORT_COLUMNS = [
+  { header: "ID", key: "id", width: 26, value: (client) => client._id.toString() },
+  { header: "Nombre", key: "name", width: 30, value: (client) => client.name },
+  { header: "Email", key: "email", width: 32, value: (client) => client.email },
+  { header: "Teléfono", key: "phone", width: 16, value: (client) => client.phone },
+  { header: "Edad", key: "age", width: 8, value: (client) => client.age },
+  { header: "Rol", key: "role", width: 12, value: (client) => client.role },
+  { header: "Inasistencias", key: "noShowCount", width: 14, value: (client) => client.noShowCount },
+  { header: "Fecha de registro", key: "createdAt", width: 22, value: (client) => client.createdAt }
+];
+
+// Campos que un cliente puede cambiar en su perfil
+// La contraseña no se incluye: findByIdAndUpdate no ejecuta el middleware que la encripta
+const UPDATABLE_FIELDS = ["name", "email", "phone", "age"];
 
 // Obtener todos los clientes
 export const getAllClients = async (req, res) => {
   try {
-    const { page = 1, limit = 10, name, email } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     
     // Construir filtros
-    const filters = {};
-    if (name) {
-      filters.name = { $regex: name, $options: "i" };
-    }
-    if (email) {
-      filters.email = { $regex: email, $options: "i" };
-    }
+    const filters = buildClientFilters(req.query);
 
     // Configurar paginación
     const skip = (page - 1) * limit;
@@ -46,6 +63,38 @@ export const getAllClients = async (req, res) => {
   }
 };
 
+// Exportar los clientes en CSV o Excel con los mismos filtros del listado
+export const exportClients = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+
+    const cursor = Client.find(buildClientFilters(req.query))
+      .select("-password")
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: `clientes-${formatDay(new Date())}`,
+      sheetName: "Clientes",
+      columns: EXPORT_COLUMNS,
+      cursor
+    });
+  } catch (error) {
+    // Si la descarga ya empezó solo se puede cortar la conexión
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al exportar los clientes",
+      error: error.message
+    });
+  }
+};
+
 // Obtener un cliente por ID
 export const getClientById = async (req, res) => {
   try {
@@ -102,8 +151,18 @@ export const createClient = async (req, res) => {
       age
     });
 
+    // El cliente recibe un enlace para verificar que el email es suyo
+    const verificationToken = newClient.createEmailVerificationToken();
     const savedClient = await newClient.save();
 
+    await enqueueAccountEmail(
+      ACCOUNT_EMAILS.EMAIL_VERIFICATION,
+      savedClient,
+      buildAccountLink("/verify-email", verificationToken)
+    );
+
+    emitClientEvent(CLIENT_EVENTS.CREATED, savedClient);
+
     res.status(201).json({
       success: true,
       message: "Cliente creado exitosamente",
@@ -129,7 +188,14 @@ export const createClient = async (req, res) => {
 export const updateClient = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Solo se actualizan los datos del perfil; la contraseña, el rol, las inasistencias,
+    // la verificación del email y los tokens de la cuenta se cambian desde sus propios endpoints
+    const updateData = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -152,6 +218,10 @@ export const updateClient = async (req, res) => {
       }
     }
 
+    // Un email nuevo debe verificarse de nuevo
+    const previousClient = updateData.email ? await Client.findById(id).select("email") : null;
+    const emailChanged = previousClient && previousClient.email !== updateData.email;
+
     const updatedClient = await Client.findByIdAndUpdate(
       id,
       updateData,
@@ -168,6 +238,19 @@ export const updateClient = async (req, res) => {
       });
     }
 
+    if (emailChanged) {
+      updatedClient.emailVerified = false;
+      const verificationToken = updatedClient.createEmailVerificationToken();
+      await updatedClient.save();
+      await enqueueAccountEmail(
+        ACCOUNT_EMAILS.EMAIL_VERIFICATION,
+        updatedClient,
+        buildAccountLink("/verify-email", verificationToken)
+      );
+    }
+
+    emitClientEvent(CLIENT_EVENTS.UPDATED, updatedClient);
+
     res.status(200).json({
       success: true,
       message: "Cliente actualizado exitosamente",
@@ -189,6 +272,92 @@ export const updateClient = async (req, res) => {
   }
 };
 
+// Cambiar el rol de un cliente
+export const updateClientRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cliente no válido"
+      });
+    }
+
+    const updatedClient = await Client.findByIdAndUpdate(
+      id,
+      { role },
+      {
+        new: true,
+        runValidators: true
+      }
+    ).select("-password");
+
+    if (!updatedClient) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    emitClientEvent(CLIENT_EVENTS.UPDATED, updatedClient);
+
+    res.status(200).json({
+      success: true,
+      message: "Rol actualizado exitosamente",
+      data: updatedClient
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el rol",
+      error: error.message
+    });
+  }
+};
+
+// Reiniciar el contador de inasistencias de un cliente
+export const resetNoShows = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cliente no válido"
+      });
+    }
+
+    const updatedClient = await Client.findByIdAndUpdate(
+      id,
+      { noShowCount: 0 },
+      { new: true }
+    ).select("-password");
+
+    if (!updatedClient) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    emitClientEvent(CLIENT_EVENTS.UPDATED, updatedClient);
+
+    res.status(200).json({
+      success: true,
+      message: "Inasistencias reiniciadas exitosamente",
+      data: updatedClient
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al reiniciar las inasistencias",
+      error: error.message
+    });
+  }
+};
+
 // Eliminar un cliente
 export const deleteClient = async (req, res) => {
   try {
@@ -224,6 +393,8 @@ export const deleteClient = async (req, res) => {
       });
     }
 
+    emitClientEvent(CLIENT_EVENTS.DELETED, deletedClient);
+
     res.status(200).json({
       success: true,
       message: "Cliente eliminado exitosamente"
@@ -0,0 +1,71 @@
+import Reservation from "../models/Reservation.js";
+import Client from "../models/Client.js";
+import Vehicle from "../models/Vehicle.js";
+
+// Campos del historial de mantenimiento
+const historyFields = "vehicle vehicleId service scheduledDate completion";
+
+// Obtener el historial de mantenimiento de un cliente
+export const getClientHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await Client.findById(id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    const history = await Reservation.find({ clientId: id, status: "Completado" })
+      .select(historyFields)
+      .populate("completion.completedBy", "name")
+      .sort({ "completion.completedAt": 1 });
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el historial del cliente",
+      error: error.message
+    });
+  }
+};
+
+// Obtener el historial de mantenimiento de un vehículo
+export const getVehicleHistory = async (req, res) => {
+  try {
+    const { id, vehicleId } = req.params;
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, clientId: id });
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehículo no encontrado"
+      });
+    }
+
+    const history = await Reservation.find({ vehicleId, status: "Completado" })
+      .select(historyFields)
+      .populate("completion.completedBy", "name")
+      .sort({ "completion.completedAt": 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicle,
+        history
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el historial del vehículo",
+      error: error.message
+    });
+  }
+};
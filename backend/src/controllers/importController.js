@@ -0,0 +1,231 @@
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+import Vehicle from "../models/Vehicle.js";
+import mongoose from "mongoose";
+import { clientRules, reservationRules, importClientEmailRules } from "../middlewares/validation.js";
+import { parseCsv, validateRow, insertInBatches } from "../utils/csvImport.js";
+import { findSchedulingConflict, getEndDate } from "../utils/scheduling.js";
+import { checkBusinessHours } from "../utils/businessCalendar.js";
+
+// Reporte de una importación
+// valid: filas que pasaron las validaciones y no están repetidas
+// imported: filas guardadas (siempre 0 en una simulación)
+const createReport = (dryRun, totalRows) => ({
+  dryRun,
+  totalRows,
+  valid: 0,
+  imported: 0,
+  duplicates: [],
+  errors: []
+});
+
+// Responder con el reporte de la importación
+const sendReport = (res, report) => {
+  res.status(200).json({
+    success: true,
+    message: report.dryRun
+      ? "Simulación de importación completada; no se guardó ningún registro"
+      : `Importación completada: ${report.imported} de ${report.totalRows} filas guardadas`,
+    data: report
+  });
+};
+
+// Responder a los errores de una importación
+const sendImportError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Importar clientes desde un archivo CSV
+// Columnas: name, email, password, phone, age
+export const importClients = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const rows = parseCsv(req.body);
+    const report = createReport(dryRun, rows.length);
+
+    // Validar cada fila con las mismas reglas del registro y descartar los emails repetidos en el archivo
+    const candidates = [];
+    const emailsInFile = new Set();
+    for (const { row, data } of rows) {
+      const { data: client, errors } = await validateRow(clientRules, data);
+      if (errors.length) {
+        report.errors.push({ row, errors });
+        continue;
+      }
+
+      if (emailsInFile.has(client.email)) {
+        report.duplicates.push({ row, email: client.email, reason: "Repetido en el archivo" });
+        continue;
+      }
+      emailsInFile.add(client.email);
+
+      // Los clientes importados siempre quedan con el rol por defecto
+      const { name, email, password, phone, age } = client;
+      candidates.push({ row, doc: { name, email, password, phone, age } });
+    }
+
+    // Descartar los emails que ya están registrados
+    const registeredEmails = new Set(
+      await Client.distinct("email", { email: { $in: [...emailsInFile] } })
+    );
+    const newClients = candidates.filter(({ row, doc }) => {
+      if (registeredEmails.has(doc.email)) {
+        report.duplicates.push({ row, email: doc.email, reason: "Ya registrado" });
+        return false;
+      }
+      return true;
+    });
+    report.valid = newClients.length;
+
+    if (!dryRun) {
+      // Un email registrado durante la importación se informa también como repetido
+      await insertInBatches(Client, newClients, report, (doc) => ({ email: doc.email }));
+    }
+
+    report.duplicates.sort((a, b) => a.row - b.row);
+    sendReport(res, report);
+  } catch (error) {
+    sendImportError(res, error, "Error al importar los clientes");
+  }
+};
+
+// Importar reservas desde un archivo CSV
+// Columnas: clientEmail o clientId, vehicleId o vehicle, service, scheduledDate, notes
+// Las reservas se crean como pendientes y no generan notificaciones ni eventos
+export const importReservations = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const rows = parseCsv(req.body);
+    const report = createReport(dryRun, rows.length);
+
+    // Normalizar los emails de los clientes como se guardaron al registrarlos
+    for (const { data } of rows) {
+      if (data.clientEmail && !data.clientId) {
+        const { data: normalized } = await validateRow(importClientEmailRules, { clientEmail: data.clientEmail });
+        data.clientEmail = normalized.clientEmail;
+      }
+    }
+
+    // Buscar de una sola vez los clientes indicados en el archivo, por email o por ID
+    const emails = rows
+      .filter(({ data }) => data.clientEmail && !data.clientId)
+      .map(({ data }) => data.clientEmail);
+    const ids = rows
+      .map(({ data }) => data.clientId)
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+    const clients = await Client.find({
+      $or: [{ email: { $in: emails } }, { _id: { $in: ids } }]
+    }).select("name email");
+
+    const clientsById = new Map(clients.map((client) => [client._id.toString(), client]));
+    const clientsByEmail = new Map(clients.map((client) => [client.email, client]));
+
+    const newReservations = [];
+    const reservationsInFile = new Set();
+    // Horarios de las filas ya aceptadas, para que cuenten en la capacidad y los cruces de las siguientes
+    const acceptedSlots = [];
+    for (const { row, data } of rows) {
+      // Traducir el email del cliente a su ID antes de validar
+      const { clientEmail, ...fields } = data;
+      if (clientEmail && !fields.clientId) {
+        const client = clientsByEmail.get(clientEmail);
+        if (!client) {
+          report.errors.push({
+            row,
+            errors: [{ field: "clientEmail", message: "No hay un cliente registrado con ese email" }]
+          });
+          continue;
+        }
+        fields.clientId = client._id.toString();
+      }
+
+      const { data: reservation, errors } = await validateRow(reservationRules, fields);
+      if (errors.length) {
+        report.errors.push({ row, errors });
+        continue;
+      }
+
+      const client = clientsById.get(reservation.clientId);
+      if (!client) {
+        report.errors.push({ row, errors: [{ field: "clientId", message: "Cliente no encontrado" }] });
+        continue;
+      }
+
+      const { vehicleId, service, scheduledDate, notes } = reservation;
+      const start = new Date(scheduledDate);
+
+      // La misma reserva del mismo cliente repetida en el archivo
+      const key = `${client._id}|${start.toISOString()}`;
+      if (reservationsInFile.has(key)) {
+        report.duplicates.push({ row, email: client.email, reason: "Repetida en el archivo" });
+        continue;
+      }
+
+      // Si se indica un vehículo registrado, verificar que pertenezca al cliente
+      let vehicleDescription = reservation.vehicle;
+      if (vehicleId) {
+        const registeredVehicle = await Vehicle.findOne({ _id: vehicleId, clientId: client._id });
+        if (!registeredVehicle) {
+          report.errors.push({ row, errors: [{ field: "vehicleId", message: "Vehículo no encontrado" }] });
+          continue;
+        }
+        vehicleDescription = registeredVehicle.getDescription();
+      }
+
+      // Las mismas verificaciones de horario y capacidad que al crear una reserva
+      const end = await getEndDate(start, service);
+      const businessHoursError = await checkBusinessHours(start, end);
+      if (businessHoursError) {
+        report.errors.push({ row, errors: [{ field: "scheduledDate", message: businessHoursError }] });
+        continue;
+      }
+
+      const conflict = await findSchedulingConflict({
+        scheduledDate: start,
+        service,
+        clientId: client._id,
+        vehicleId,
+        pending: acceptedSlots
+      });
+      if (conflict) {
+        report.errors.push({ row, errors: [{ field: "scheduledDate", message: conflict.message }] });
+        continue;
+      }
+
+      reservationsInFile.add(key);
+      acceptedSlots.push({ clientId: client._id, vehicleId, scheduledDate: start, endDate: end });
+      newReservations.push({
+        row,
+        doc: {
+          clientId: client._id,
+          vehicleId,
+          vehicle: vehicleDescription,
+          service,
+          scheduledDate: start,
+          notes,
+          statusHistory: [{ newStatus: "Pendiente", changedBy: req.client._id }]
+        }
+      });
+    }
+    report.valid = newReservations.length;
+
+    if (!dryRun) {
+      await insertInBatches(Reservation, newReservations, report);
+    }
+
+    sendReport(res, report);
+  } catch (error) {
+    sendImportError(res, error, "Error al importar las reservas");
+  }
+};
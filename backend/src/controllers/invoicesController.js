@@ -0,0 +1,418 @@
+import Invoice from "../models/Invoice.js";
+import Reservation from "../models/Reservation.js";
+import Quote from "../models/Quote.js";
+import Service from "../models/Service.js";
+import Counter from "../models/Counter.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../permissions.js";
+import { renderInvoice } from "../utils/pdf.js";
+import { config } from "../config.js";
+
+// Los borradores son trabajo interno del taller: un cliente solo ve las facturas emitidas, pagadas o anuladas
+const excludeDrafts = (filters) => {
+  filters.status = filters.status
+    ? { $eq: filters.status, $ne: "Borrador" }
+    : { $ne: "Borrador" };
+  return filters;
+};
+
+// Obtener las facturas
+export const getAllInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, clientId, status } = req.query;
+
+    const filters = {};
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: "ID de cliente no válido"
+        });
+      }
+      filters.clientId = clientId;
+    }
+    if (status) {
+      filters.status = status;
+    }
+
+    // Un cliente solo puede ver sus propias facturas
+    if (!hasPermission(req.client.role, "invoices:read")) {
+      filters.clientId = req.client._id;
+      excludeDrafts(filters);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const invoices = await Invoice.find(filters)
+      .populate("clientId", "name email phone")
+      .limit(limit * 1)
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await Invoice.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: invoices,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalInvoices: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las facturas",
+      error: error.message
+    });
+  }
+};
+
+// Obtener las facturas de un cliente
+export const getClientInvoices = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const filters = { clientId: id };
+    if (status) {
+      filters.status = status;
+    }
+    if (!hasPermission(req.client.role, "invoices:read")) {
+      excludeDrafts(filters);
+    }
+
+    const invoices = await Invoice.find(filters).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: invoices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las facturas del cliente",
+      error: error.message
+    });
+  }
+};
+
+// Obtener una factura por ID
+export const getInvoiceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de factura no válido"
+      });
+    }
+
+    const filters = { _id: id };
+    if (!hasPermission(req.client.role, "invoices:read")) {
+      excludeDrafts(filters);
+    }
+
+    const invoice = await Invoice.findOne(filters)
+      .populate("clientId", "name email phone")
+      .populate("reservationId", "vehicle service scheduledDate");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Factura no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener la factura",
+      error: error.message
+    });
+  }
+};
+
+// Descargar una factura en PDF
+export const getInvoicePdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de factura no válido"
+      });
+    }
+
+    const filters = { _id: id };
+    if (!hasPermission(req.client.role, "invoices:read")) {
+      excludeDrafts(filters);
+    }
+
+    const invoice = await Invoice.findOne(filters)
+      .populate("clientId", "name email phone")
+      .populate("reservationId", "vehicle service scheduledDate");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Factura no encontrada"
+      });
+    }
+
+    const filename = invoice.number || `borrador-${invoice._id}`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="factura-${filename}.pdf"`);
+    renderInvoice(invoice, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al generar el PDF de la factura",
+      error: error.message
+    });
+  }
+};
+
+// Crear una factura en borrador para una reserva completada
+export const createInvoice = async (req, res) => {
+  try {
+    const { reservationId, items, taxRate, notes } = req.body;
+
+    const reservation = await Reservation.findById(reservationId);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    if (reservation.status !== "Completado") {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden facturar reservas completadas"
+      });
+    }
+
+    const existingInvoice = await Invoice.findOne({
+      reservationId,
+      status: { $ne: "Anulada" }
+    });
+    if (existingInvoice) {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva ya tiene una factura"
+      });
+    }
+
+    // Si no se indican ítems, se toman de la cotización aprobada o del precio base del servicio
+    let invoiceItems = items;
+    if (!invoiceItems || invoiceItems.length === 0) {
+      const approvedQuote = await Quote.findOne({ reservationId, status: "Aprobada" });
+      if (approvedQuote) {
+        invoiceItems = approvedQuote.items.map(({ type, description, quantity, unitPrice }) => ({
+          type,
+          description,
+          quantity,
+          unitPrice
+        }));
+      } else {
+        const service = await Service.findOne({ name: reservation.service });
+        invoiceItems = [{
+          type: "Mano de obra",
+          description: reservation.service,
+          quantity: 1,
+          unitPrice: service?.basePrice || 0
+        }];
+      }
+    }
+
+    const newInvoice = new Invoice({
+      reservationId,
+      clientId: reservation.clientId,
+      items: invoiceItems,
+      taxRate,
+      notes,
+      createdBy: req.client._id
+    });
+
+    const savedInvoice = await newInvoice.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Factura creada exitosamente",
+      data: savedInvoice
+    });
+  } catch (error) {
+    // Otra petición creó la factura de la reserva al mismo tiempo
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva ya tiene una factura"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al crear la factura",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar una factura en borrador
+export const updateInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items, taxRate, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de factura no válido"
+      });
+    }
+
+    const invoice = await Invoice.findById(id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Factura no encontrada"
+      });
+    }
+
+    if (invoice.status !== "Borrador") {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden modificar facturas en borrador"
+      });
+    }
+
+    if (items !== undefined) {
+      invoice.items = items;
+    }
+    if (taxRate !== undefined) {
+      invoice.taxRate = taxRate;
+    }
+    if (notes !== undefined) {
+      invoice.notes = notes;
+    }
+
+    const updatedInvoice = await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Factura actualizada exitosamente",
+      data: updatedInvoice
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar la factura",
+      error: error.message
+    });
+  }
+};
+
+// Cambiar el estado de una factura mediante una acción
+// applyChanges permite modificar la factura antes de guardarla
+const changeInvoiceStatus = async (req, res, newStatus, successMessage, applyChanges) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de factura no válido"
+      });
+    }
+
+    const invoice = await Invoice.findById(id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Factura no encontrada"
+      });
+    }
+
+    const previousStatus = invoice.status;
+    invoice.changeStatus(newStatus);
+
+    // Reclamar la transición de forma atómica antes de aplicar sus efectos:
+    // si dos peticiones llegan a la vez, solo una encuentra la factura en el estado anterior
+    const claimed = await Invoice.findOneAndUpdate(
+      { _id: id, status: previousStatus },
+      { $set: { status: newStatus } }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "La factura cambió de estado mientras se procesaba la petición"
+      });
+    }
+
+    let updatedInvoice;
+    try {
+      await applyChanges(invoice);
+      updatedInvoice = await invoice.save();
+    } catch (error) {
+      // Devolver la factura a su estado anterior para que la acción pueda repetirse
+      await Invoice.updateOne({ _id: id, status: newStatus }, { $set: { status: previousStatus } });
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updatedInvoice
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al cambiar el estado de la factura",
+      error: error.message
+    });
+  }
+};
+
+// Emitir una factura asignándole el siguiente número consecutivo
+// El número se toma después de reclamar la transición, así una emisión rechazada no consume un número
+export const issueInvoice = (req, res) => {
+  return changeInvoiceStatus(req, res, "Emitida", "Factura emitida exitosamente", async (invoice) => {
+    const sequence = await Counter.next("invoice");
+    invoice.number = `${config.billing.invoicePrefix}${String(sequence).padStart(6, "0")}`;
+    invoice.issuedAt = new Date();
+  });
+};
+
+// Registrar el pago de una factura
+export const payInvoice = (req, res) => {
+  return changeInvoiceStatus(req, res, "Pagada", "Pago registrado exitosamente", async (invoice) => {
+    invoice.paidAt = new Date();
+  });
+};
+
+// Anular una factura indicando el motivo
+export const voidInvoice = (req, res) => {
+  return changeInvoiceStatus(req, res, "Anulada", "Factura anulada exitosamente", async (invoice) => {
+    invoice.voidReason = req.body.reason;
+    invoice.voidedAt = new Date();
+  });
+};
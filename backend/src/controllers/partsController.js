@@ -0,0 +1,335 @@
+import Part from "../models/Part.js";
+import StockMovement from "../models/StockMovement.js";
+import Reservation from "../models/Reservation.js";
+import mongoose from "mongoose";
+import { applyStockMovement } from "../utils/inventory.js";
+
+// Obtener los repuestos del inventario
+export const getAllParts = async (req, res) => {
+  try {
+    const { search, active } = req.query;
+
+    const filters = {};
+    if (search) {
+      filters.$or = [
+        { sku: { $regex: search, $options: "i" } },
+        { name: { $regex: search, $options: "i" } }
+      ];
+    }
+    if (active !== undefined) {
+      filters.active = active === "true";
+    }
+
+    const parts = await Part.find(filters).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: parts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los repuestos",
+      error: error.message
+    });
+  }
+};
+
+// Obtener los repuestos activos con stock igual o inferior al umbral de reabastecimiento
+export const getLowStockParts = async (req, res) => {
+  try {
+    const parts = await Part.find({
+      active: true,
+      $expr: { $lte: ["$stock", "$reorderThreshold"] }
+    }).sort({ stock: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: parts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los repuestos con bajo stock",
+      error: error.message
+    });
+  }
+};
+
+// Obtener un repuesto por ID
+export const getPartById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de repuesto no válido"
+      });
+    }
+
+    const part = await Part.findById(id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: "Repuesto no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: part
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el repuesto",
+      error: error.message
+    });
+  }
+};
+
+// Crear un repuesto
+export const createPart = async (req, res) => {
+  try {
+    const { sku, name, description, stock, cost, reorderThreshold, active } = req.body;
+
+    const existingPart = await Part.findOne({ sku: sku.toUpperCase() });
+    if (existingPart) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un repuesto con ese SKU"
+      });
+    }
+
+    const newPart = new Part({
+      sku,
+      name,
+      description,
+      cost,
+      reorderThreshold,
+      active
+    });
+
+    let savedPart = await newPart.save();
+
+    // El stock inicial se registra como una entrada de inventario
+    if (stock > 0) {
+      const { part } = await applyStockMovement({
+        partId: savedPart._id,
+        type: "Entrada",
+        quantity: stock,
+        reason: "Stock inicial",
+        createdBy: req.client._id
+      });
+      savedPart = part;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Repuesto creado exitosamente",
+      data: savedPart
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un repuesto con ese SKU"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al crear el repuesto",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un repuesto
+export const updatePart = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de repuesto no válido"
+      });
+    }
+
+    // El stock solo cambia mediante movimientos de inventario
+    delete updateData.stock;
+
+    const part = await Part.findById(id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: "Repuesto no encontrado"
+      });
+    }
+
+    part.set(updateData);
+    const updatedPart = await part.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Repuesto actualizado exitosamente",
+      data: updatedPart
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un repuesto con ese SKU"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el repuesto",
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un repuesto
+export const deletePart = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de repuesto no válido"
+      });
+    }
+
+    const part = await Part.findById(id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: "Repuesto no encontrado"
+      });
+    }
+
+    // Un repuesto usado en reservas solo puede desactivarse
+    const usedInReservations = await Reservation.exists({ "completion.partsUsed.partId": part._id });
+    if (usedInReservations) {
+      return res.status(400).json({
+        success: false,
+        message: "No se puede eliminar el repuesto porque se usó en reservas; desactívelo en su lugar"
+      });
+    }
+
+    await StockMovement.deleteMany({ partId: part._id });
+    await part.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Repuesto eliminado exitosamente"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el repuesto",
+      error: error.message
+    });
+  }
+};
+
+// Obtener los movimientos de inventario de un repuesto
+export const getPartMovements = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de repuesto no válido"
+      });
+    }
+
+    const part = await Part.findById(id);
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: "Repuesto no encontrado"
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const movements = await StockMovement.find({ partId: id })
+      .populate("createdBy", "name role")
+      .populate("reservationId", "vehicle service scheduledDate")
+      .limit(limit * 1)
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await StockMovement.countDocuments({ partId: id });
+
+    res.status(200).json({
+      success: true,
+      data: movements,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalMovements: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los movimientos del repuesto",
+      error: error.message
+    });
+  }
+};
+
+// Registrar un movimiento manual de inventario
+export const createStockMovement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, quantity, reason } = req.body;
+
+    // Las salidas se indican con cantidad positiva y restan del stock
+    const { part, movement } = await applyStockMovement({
+      partId: id,
+      type,
+      quantity: type === "Salida" ? -quantity : quantity,
+      reason,
+      createdBy: req.client._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Movimiento registrado exitosamente",
+      data: {
+        part,
+        movement
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al registrar el movimiento",
+      error: error.message
+    });
+  }
+};
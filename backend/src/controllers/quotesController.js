@@ -0,0 +1,229 @@
+import Quote from "../models/Quote.js";
+import Reservation from "../models/Reservation.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../permissions.js";
+
+// Obtener las cotizaciones
+export const getAllQuotes = async (req, res) => {
+  try {
+    const { reservationId, status } = req.query;
+
+    const filters = {};
+    if (reservationId) {
+      if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+        return res.status(400).json({
+          success: false,
+          message: "ID de reserva no válido"
+        });
+      }
+      filters.reservationId = reservationId;
+    }
+    if (status) {
+      filters.status = status;
+    }
+
+    // Un cliente solo puede ver sus propias cotizaciones
+    if (!hasPermission(req.client.role, "quotes:read")) {
+      filters.clientId = req.client._id;
+    }
+
+    const quotes = await Quote.find(filters)
+      .populate("clientId", "name email phone")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: quotes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las cotizaciones",
+      error: error.message
+    });
+  }
+};
+
+// Obtener una cotización por ID
+export const getQuoteById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cotización no válido"
+      });
+    }
+
+    const quote = await Quote.findById(id)
+      .populate("clientId", "name email phone")
+      .populate("reservationId", "vehicle service scheduledDate status");
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: "Cotización no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener la cotización",
+      error: error.message
+    });
+  }
+};
+
+// Crear una cotización para una reserva pendiente
+export const createQuote = async (req, res) => {
+  try {
+    const { reservationId, items, taxRate, validUntil, notes } = req.body;
+
+    const reservation = await Reservation.findById(reservationId);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    if (reservation.status !== "Pendiente") {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden cotizar reservas pendientes"
+      });
+    }
+
+    const openQuote = await Quote.findOne({
+      reservationId,
+      status: { $in: ["Pendiente", "Aprobada"] }
+    });
+    if (openQuote) {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva ya tiene una cotización pendiente o aprobada"
+      });
+    }
+
+    const newQuote = new Quote({
+      reservationId,
+      clientId: reservation.clientId,
+      items,
+      taxRate,
+      validUntil,
+      notes,
+      createdBy: req.client._id
+    });
+
+    const savedQuote = await newQuote.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Cotización creada exitosamente",
+      data: savedQuote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al crear la cotización",
+      error: error.message
+    });
+  }
+};
+
+// Responder una cotización pendiente
+const respondQuote = async (req, res, newStatus, successMessage) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de cotización no válido"
+      });
+    }
+
+    const quote = await Quote.findById(id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: "Cotización no encontrada"
+      });
+    }
+
+    if (quote.status !== "Pendiente") {
+      return res.status(409).json({
+        success: false,
+        message: `La cotización ya fue ${quote.status.toLowerCase()}`
+      });
+    }
+
+    if (quote.validUntil && quote.validUntil < new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: "La cotización está vencida"
+      });
+    }
+
+    // Una cotización solo se responde mientras la reserva no ha empezado ni terminado
+    const reservation = await Reservation.findById(quote.reservationId).select("status");
+    if (!reservation || reservation.status !== "Pendiente") {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva de la cotización ya no está pendiente"
+      });
+    }
+
+    const response = {
+      status: newStatus,
+      respondedBy: req.client._id,
+      respondedAt: new Date()
+    };
+    if (newStatus === "Rechazada") {
+      response.rejectionReason = req.body.reason;
+    }
+
+    // La condición sobre el estado evita que dos respuestas simultáneas (aprobar y rechazar) se pisen
+    const updatedQuote = await Quote.findOneAndUpdate(
+      { _id: id, status: "Pendiente" },
+      { $set: response },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedQuote) {
+      return res.status(409).json({
+        success: false,
+        message: "La cotización ya fue respondida"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updatedQuote
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al responder la cotización",
+      error: error.message
+    });
+  }
+};
+
+// Aprobar una cotización
+export const approveQuote = (req, res) => {
+  return respondQuote(req, res, "Aprobada", "Cotización aprobada exitosamente");
+};
+
+// Rechazar una cotización
+export const rejectQuote = (req, res) => {
+  return respondQuote(req, res, "Rechazada", "Cotización rechazada exitosamente");
+};
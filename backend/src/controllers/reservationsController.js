@@ -1,51 +1,35 @@
 import Reservation from "../models/Reservation.js";
 import Client from "../models/Client.js";
+import Vehicle from "../models/Vehicle.js";
+import Quote from "../models/Quote.js";
+import Invoice from "../models/Invoice.js";
+import StockMovement from "../models/StockMovement.js";
 import mongoose from "mongoose";
+import { hasPermission, ROLES } from "../permissions.js";
+import {
+  findSchedulingConflict,
+  findTechnicianConflict,
+  getAvailableSlots,
+  getServiceDuration,
+  getEndDate
+} from "../utils/scheduling.js";
+import { checkBusinessHours, formatDay, getDayBounds } from "../utils/businessCalendar.js";
+import { renderReservationConfirmation } from "../utils/pdf.js";
+import { buildCalendar, ICS_CONTENT_TYPE } from "../utils/ical.js";
+import { consumeParts } from "../utils/inventory.js";
+import { openEventStream } from "../utils/sse.js";
+import { buildReservationFilters } from "../utils/filters.js";
+import { streamExport } from "../utils/export.js";
+import { RESERVATION_EVENTS, events, emitReservationEvent, emitStatusChange } from "../events.js";
+import { config } from "../config.js";
 
 // Obtener todas las reservas
 export const getAllReservations = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      clientId, 
-      status, 
-      service,
-      startDate,
-      endDate 
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     
     // Construir filtros
-    const filters = {};
-    
-    if (clientId) {
-      if (!mongoose.Types.ObjectId.isValid(clientId)) {
-        return res.status(400).json({
-          success: false,
-          message: "ID de cliente no válido"
-        });
-      }
-      filters.clientId = clientId;
-    }
-    
-    if (status) {
-      filters.status = status;
-    }
-    
-    if (service) {
-      filters.service = { $regex: service, $options: "i" };
-    }
-    
-    // Filtro por rango de fechas
-    if (startDate || endDate) {
-      filters.scheduledDate = {};
-      if (startDate) {
-        filters.scheduledDate.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        filters.scheduledDate.$lte = new Date(endDate);
-      }
-    }
+    const filters = buildReservationFilters(req.query, req.client);
 
     // Configurar paginación
     const skip = (page - 1) * limit;
@@ -70,6 +54,13 @@ export const getAllReservations = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Error al obtener las reservas",
@@ -78,6 +69,149 @@ export const getAllReservations = async (req, res) => {
   }
 };
 
+// Columnas de la exportación de reservas
+const EXPORT_COLUMNS = [
+  { header: "ID", key: "id", width: 26, value: (reservation) => reservation._id.toString() },
+  { header: "Cliente", key: "clientName", width: 30, value: (reservation) => reservation.clientId?.name },
+  { header: "Email", key: "clientEmail", width: 32, value: (reservation) => reservation.clientId?.email },
+  { header: "Teléfono", key: "clientPhone", width: 16, value: (reservation) => reservation.clientId?.phone },
+  { header: "Vehículo", key: "vehicle", width: 30, value: (reservation) => reservation.vehicle },
+  { header: "Servicio", key: "service", width: 24, value: (reservation) => reservation.service },
+  { header: "Fecha programada", key: "scheduledDate", width: 22, value: (reservation) => reservation.scheduledDate },
+  { header: "Fecha de fin", key: "endDate", width: 22, value: (reservation) => reservation.endDate },
+  { header: "Estado", key: "status", width: 14, value: (reservation) => reservation.status },
+  { header: "Técnico", key: "assignedTo", width: 26, value: (reservation) => reservation.assignedTo?.name },
+  { header: "Notas", key: "notes", width: 40, value: (reservation) => reservation.notes },
+  { header: "Fecha de creación", key: "createdAt", width: 22, value: (reservation) => reservation.createdAt }
+];
+
+// Exportar las reservas en CSV o Excel con los mismos filtros del listado
+export const exportReservations = async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+
+    const cursor = Reservation.find(buildReservationFilters(req.query, req.client))
+      .select("-statusHistory -completion -remindersSent")
+      .populate("clientId", "name email phone")
+      .populate("assignedTo", "name")
+      .sort({ scheduledDate: 1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: `reservas-${formatDay(new Date())}`,
+      sheetName: "Reservas",
+      columns: EXPORT_COLUMNS,
+      cursor
+    });
+  } catch (error) {
+    // Si la descarga ya empezó solo se puede cortar la conexión
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al exportar las reservas",
+      error: error.message
+    });
+  }
+};
+
+// Obtener los horarios disponibles de un día para un servicio
+export const getAvailability = async (req, res) => {
+  try {
+    const { date, service } = req.query;
+
+    // Interpretar la fecha en la zona horaria del taller
+    const { start: day } = getDayBounds(date);
+    const slots = await getAvailableSlots(day, service);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        service,
+        duration: await getServiceDuration(service),
+        slots
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener la disponibilidad",
+      error: error.message
+    });
+  }
+};
+
+// Eventos que se envían por el flujo en tiempo real de reservas
+const STREAM_EVENTS = [
+  RESERVATION_EVENTS.CREATED,
+  RESERVATION_EVENTS.UPDATED,
+  RESERVATION_EVENTS.DELETED
+];
+
+// Enviar en tiempo real los cambios de las reservas (Server-Sent Events)
+// Cada conexión se suscribe al bus de eventos y solo recibe las reservas que cumplen sus filtros
+export const streamReservations = (req, res) => {
+  const { status, date, clientId, assignedTo } = req.query;
+
+  const statuses = status ? status.split(",") : null;
+  const day = date ? getDayBounds(date) : null;
+
+  // Un cliente sin permisos de personal solo recibe los eventos de sus propias reservas
+  const ownerId = hasPermission(req.client.role, "reservations:list")
+    ? clientId
+    : req.client._id.toString();
+
+  // El cliente y el técnico pueden venir populados o como ID
+  const idOf = (value) => (value?._id ?? value)?.toString();
+
+  const matches = (reservation) => {
+    if (statuses && !statuses.includes(reservation.status)) {
+      return false;
+    }
+    if (ownerId && idOf(reservation.clientId) !== ownerId) {
+      return false;
+    }
+    if (assignedTo && idOf(reservation.assignedTo) !== assignedTo) {
+      return false;
+    }
+    if (day) {
+      const scheduledDate = new Date(reservation.scheduledDate);
+      if (scheduledDate < day.start || scheduledDate >= day.end) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const listeners = STREAM_EVENTS.map((type) => [
+    type,
+    ({ reservation, occurredAt }) => {
+      if (matches(reservation)) {
+        send(type, { type, reservation, occurredAt });
+      }
+    }
+  ]);
+
+  const send = openEventStream(req, res, () => {
+    listeners.forEach(([type, listener]) => events.off(type, listener));
+  });
+
+  listeners.forEach(([type, listener]) => events.on(type, listener));
+  send("ready", { events: STREAM_EVENTS });
+};
+
 // Obtener una reserva por ID
 export const getReservationById = async (req, res) => {
   try {
@@ -91,7 +225,9 @@ export const getReservationById = async (req, res) => {
     }
 
     const reservation = await Reservation.findById(id)
-      .populate("clientId", "name email phone");
+      .populate("clientId", "name email phone")
+      .populate("assignedTo", "name email")
+      .populate("statusHistory.changedBy", "name role");
 
     if (!reservation) {
       return res.status(404).json({
@@ -113,10 +249,79 @@ export const getReservationById = async (req, res) => {
   }
 };
 
+// Descargar la confirmación de una reserva en PDF
+export const getReservationPdf = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de reserva no válido"
+      });
+    }
+
+    const reservation = await Reservation.findById(id)
+      .populate("clientId", "name email phone");
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="reserva-${reservation._id}.pdf"`);
+    renderReservationConfirmation(reservation, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al generar el PDF de la reserva",
+      error: error.message
+    });
+  }
+};
+
+// Descargar una reserva como evento de calendario (.ics)
+// Si la reserva se reprograma o cancela, el mismo archivo descargado de nuevo actualiza el evento
+export const getReservationIcs = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de reserva no válido"
+      });
+    }
+
+    const reservation = await Reservation.findById(id)
+      .populate("clientId", "name email phone");
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    res.setHeader("Content-Type", ICS_CONTENT_TYPE);
+    res.setHeader("Content-Disposition", `attachment; filename="reserva-${reservation._id}.ics"`);
+    res.status(200).send(buildCalendar([reservation]));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al generar el calendario de la reserva",
+      error: error.message
+    });
+  }
+};
+
 // Crear una nueva reserva
 export const createReservation = async (req, res) => {
   try {
-    const { clientId, vehicle, service, scheduledDate, notes } = req.body;
+    const { clientId, vehicleId, vehicle, service, scheduledDate, notes } = req.body;
 
     // Verificar que el cliente existe
     if (!mongoose.Types.ObjectId.isValid(clientId)) {
@@ -134,6 +339,44 @@ export const createReservation = async (req, res) => {
       });
     }
 
+    // Un cliente con demasiadas inasistencias solo puede reservar a través del personal del taller
+    const { limit: noShowLimit } = config.noShows;
+    if (
+      noShowLimit > 0 &&
+      client.noShowCount >= noShowLimit &&
+      !hasPermission(req.client.role, "reservations:create")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Has alcanzado el límite de inasistencias; comunícate con el taller para agendar tu reserva"
+      });
+    }
+
+    // Si está configurado, un cliente debe verificar su email antes de reservar por su cuenta
+    if (
+      config.accounts.requireVerifiedEmail &&
+      !client.emailVerified &&
+      !hasPermission(req.client.role, "reservations:create")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Debes verificar tu email antes de agendar una reserva"
+      });
+    }
+
+    // Si se indica un vehículo registrado, verificar que pertenezca al cliente
+    let vehicleDescription = vehicle;
+    if (vehicleId) {
+      const registeredVehicle = await Vehicle.findOne({ _id: vehicleId, clientId });
+      if (!registeredVehicle) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehículo no encontrado"
+        });
+      }
+      vehicleDescription = registeredVehicle.getDescription();
+    }
+
     // Verificar que la fecha no esté en el pasado
     if (new Date(scheduledDate) <= new Date()) {
       return res.status(400).json({
@@ -142,12 +385,36 @@ export const createReservation = async (req, res) => {
       });
     }
 
+    // Verificar que la reserva quede dentro del horario de atención
+    const businessHoursError = await checkBusinessHours(
+      new Date(scheduledDate),
+      await getEndDate(scheduledDate, service)
+    );
+    if (businessHoursError) {
+      return res.status(400).json({
+        success: false,
+        message: businessHoursError
+      });
+    }
+
+    // Verificar la capacidad del taller y que el cliente no tenga otra reserva en ese horario
+    const conflict = await findSchedulingConflict({ scheduledDate, service, clientId, vehicleId });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        conflictingSlot: conflict.slot
+      });
+    }
+
     const newReservation = new Reservation({
       clientId,
-      vehicle,
+      vehicleId,
+      vehicle: vehicleDescription,
       service,
       scheduledDate,
-      notes
+      notes,
+      statusHistory: [{ newStatus: "Pendiente", changedBy: req.client._id }]
     });
 
     const savedReservation = await newReservation.save();
@@ -156,6 +423,8 @@ export const createReservation = async (req, res) => {
     const populatedReservation = await Reservation.findById(savedReservation._id)
       .populate("clientId", "name email phone");
 
+    emitReservationEvent(RESERVATION_EVENTS.CREATED, populatedReservation);
+
     res.status(201).json({
       success: true,
       message: "Reserva creada exitosamente",
@@ -170,11 +439,27 @@ export const createReservation = async (req, res) => {
   }
 };
 
+// Campos de una reserva que se pueden modificar al actualizarla
+// El estado cambia con sus acciones, el técnico se asigna con su propio endpoint
+// y la fecha de fin, el trabajo realizado y los recordatorios los calcula la API
+const UPDATABLE_FIELDS = ["vehicle", "vehicleId", "service", "scheduledDate", "notes"];
+
 // Actualizar una reserva
 export const updateReservation = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { status } = req.body;
+
+    // Solo el personal puede pasar la reserva a otro cliente
+    const fields = hasPermission(req.client.role, "reservations:update")
+      ? [...UPDATABLE_FIELDS, "clientId"]
+      : UPDATABLE_FIELDS;
+    const updateData = {};
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -209,28 +494,111 @@ export const updateReservation = async (req, res) => {
       });
     }
 
-    const updatedReservation = await Reservation.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    ).populate("clientId", "name email phone");
+    const reservation = await Reservation.findById(id);
 
-    if (!updatedReservation) {
+    if (!reservation) {
       return res.status(404).json({
         success: false,
         message: "Reserva no encontrada"
       });
     }
 
+    // Si se indica un vehículo registrado, verificar que pertenezca al cliente
+    if (updateData.vehicleId) {
+      const registeredVehicle = await Vehicle.findOne({
+        _id: updateData.vehicleId,
+        clientId: updateData.clientId || reservation.clientId
+      });
+      if (!registeredVehicle) {
+        return res.status(404).json({
+          success: false,
+          message: "Vehículo no encontrado"
+        });
+      }
+      updateData.vehicle = registeredVehicle.getDescription();
+    }
+
+    // La inasistencia se registra por separado de los demás cambios
+    if (status && status !== reservation.status) {
+      if (Object.keys(updateData).length) {
+        return res.status(400).json({
+          success: false,
+          message: "La inasistencia se registra sin modificar otros campos de la reserva"
+        });
+      }
+      await registerNoShow(req, res, reservation);
+      return;
+    }
+
+    // Las reservas completadas, canceladas o no presentadas ya no se modifican
+    if (!["Pendiente", "En proceso"].includes(reservation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden modificar reservas pendientes o en proceso"
+      });
+    }
+
+    reservation.set(updateData);
+
+    // Si cambia el horario, el servicio, el cliente o el vehículo, verificar que no haya conflictos
+    const scheduleChanged = ["scheduledDate", "service", "clientId", "vehicleId"].some(
+      (field) => reservation.isModified(field)
+    );
+    if (scheduleChanged) {
+      // Verificar que la reserva quede dentro del horario de atención
+      const businessHoursError = await checkBusinessHours(
+        reservation.scheduledDate,
+        await getEndDate(reservation.scheduledDate, reservation.service)
+      );
+      if (businessHoursError) {
+        return res.status(400).json({
+          success: false,
+          message: businessHoursError
+        });
+      }
+
+      const conflict = await findSchedulingConflict({
+        scheduledDate: reservation.scheduledDate,
+        service: reservation.service,
+        clientId: reservation.clientId,
+        vehicleId: reservation.vehicleId,
+        assignedTo: reservation.assignedTo,
+        excludeId: reservation._id
+      });
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: conflict.message,
+          conflictingSlot: conflict.slot
+        });
+      }
+    }
+
+    const rescheduled = reservation.isModified("scheduledDate");
+
+    await reservation.save();
+
+    const updatedReservation = await Reservation.findById(id)
+      .populate("clientId", "name email phone");
+
+    emitReservationEvent(RESERVATION_EVENTS.UPDATED, updatedReservation);
+    if (rescheduled) {
+      emitReservationEvent(RESERVATION_EVENTS.RESCHEDULED, updatedReservation);
+    }
+
     res.status(200).json({
       success: true,
       message: "Reserva actualizada exitosamente",
       data: updatedReservation
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Error al actualizar la reserva",
@@ -239,7 +607,308 @@ export const updateReservation = async (req, res) => {
   }
 };
 
+// Registrar manualmente la inasistencia de una reserva y sumarla al cliente
+// La transición se reclama de forma atómica, igual que en el trabajo de inasistencias,
+// para que la misma inasistencia no se cuente dos veces en noShowCount
+const registerNoShow = async (req, res, reservation) => {
+  // Una inasistencia solo se registra cuando ya pasó la hora programada;
+  // si no, se contaría en noShowCount una cita que aún puede cumplirse
+  if (reservation.scheduledDate > new Date()) {
+    return res.status(409).json({
+      success: false,
+      message: "No se puede registrar la inasistencia antes de la hora programada"
+    });
+  }
+
+  // Verificar que la transición esté permitida
+  const previousStatus = reservation.status;
+  reservation.changeStatus("No presentado", req.client._id);
+
+  const updatedReservation = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: previousStatus },
+    {
+      status: "No presentado",
+      // Las aplicaciones de calendario solo reemplazan el evento si la secuencia aumenta
+      $inc: { icsSequence: 1 },
+      $push: {
+        statusHistory: {
+          previousStatus,
+          newStatus: "No presentado",
+          changedBy: req.client._id,
+          changedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  ).populate("clientId", "name email phone");
+
+  if (!updatedReservation) {
+    return res.status(409).json({
+      success: false,
+      message: "La reserva cambió de estado mientras se procesaba la petición"
+    });
+  }
+
+  if (updatedReservation.clientId) {
+    await Client.updateOne({ _id: updatedReservation.clientId._id }, { $inc: { noShowCount: 1 } });
+  }
+
+  emitReservationEvent(RESERVATION_EVENTS.UPDATED, updatedReservation);
+  emitStatusChange(updatedReservation, previousStatus);
+
+  res.status(200).json({
+    success: true,
+    message: "Inasistencia registrada exitosamente",
+    data: updatedReservation
+  });
+};
+
+// Cambiar el estado de una reserva mediante una acción
+// applyChanges permite modificar la reserva antes de guardarla
+// afterSave aplica los efectos que no se pueden deshacer, solo cuando la reserva ya se guardó
+const changeReservationStatus = async (req, res, newStatus, successMessage, applyChanges, afterSave) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de reserva no válido"
+      });
+    }
+
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    // Un cliente solo puede cancelar su reserva mientras está pendiente;
+    // un trabajo que ya empezó solo lo cancela el personal del taller
+    if (
+      newStatus === "Cancelado" &&
+      reservation.status === "En proceso" &&
+      !hasPermission(req.client.role, "reservations:progress")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "La reserva ya está en proceso; comunícate con el taller para cancelarla"
+      });
+    }
+
+    const previousStatus = reservation.status;
+    reservation.changeStatus(newStatus, req.client._id, req.body.reason);
+
+    // Reclamar la transición de forma atómica antes de aplicar sus efectos:
+    // si dos peticiones llegan a la vez, solo una encuentra la reserva en el estado anterior
+    const claimed = await Reservation.findOneAndUpdate(
+      { _id: id, status: previousStatus },
+      { $set: { status: newStatus } }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva cambió de estado mientras se procesaba la petición"
+      });
+    }
+
+    // applyChanges puede devolver una función que deshace sus efectos si no se guarda la reserva
+    let undoChanges = null;
+    try {
+      undoChanges = applyChanges ? await applyChanges(reservation) : null;
+      await reservation.save();
+    } catch (error) {
+      if (undoChanges) {
+        await undoChanges();
+      }
+      // Devolver la reserva a su estado anterior para que la acción pueda repetirse
+      await Reservation.updateOne({ _id: id, status: newStatus }, { $set: { status: previousStatus } });
+      throw error;
+    }
+
+    if (afterSave) {
+      await afterSave(reservation);
+    }
+
+    const updatedReservation = await Reservation.findById(id)
+      .populate("clientId", "name email phone")
+      .populate("statusHistory.changedBy", "name role");
+
+    emitReservationEvent(RESERVATION_EVENTS.UPDATED, updatedReservation);
+    emitStatusChange(updatedReservation, previousStatus);
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: updatedReservation
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al cambiar el estado de la reserva",
+      error: error.message
+    });
+  }
+};
+
+// Iniciar el trabajo de una reserva
+export const startReservation = (req, res) => {
+  return changeReservationStatus(req, res, "En proceso", "Reserva iniciada exitosamente", async (reservation) => {
+    // Si la reserva fue cotizada, el cliente debe haber aprobado la cotización
+    const quotes = await Quote.find({ reservationId: reservation._id }).select("status");
+    const approved = quotes.some((quote) => quote.status === "Aprobada");
+
+    if (!approved && (quotes.length > 0 || config.billing.requireQuoteApproval)) {
+      const error = new Error("El cliente debe aprobar la cotización antes de iniciar el trabajo");
+      error.statusCode = 409;
+      throw error;
+    }
+  });
+};
+
+// Completar una reserva registrando el trabajo realizado
+export const completeReservation = (req, res) => {
+  const { workPerformed, partsUsed, mileage, technicianNotes } = req.body;
+
+  const applyChanges = async (reservation) => {
+    // Descontar del inventario los repuestos registrados
+    const restoreStock = await consumeParts(partsUsed || [], reservation._id, req.client._id);
+
+    reservation.completion = {
+      workPerformed,
+      partsUsed,
+      mileage,
+      technicianNotes,
+      completedBy: req.client._id
+    };
+
+    return restoreStock;
+  };
+
+  // Actualizar el kilometraje del vehículo registrado si es mayor al actual
+  // Se hace después de guardar porque el valor anterior no se podría restaurar
+  const updateMileage = async (reservation) => {
+    if (mileage !== undefined && reservation.vehicleId) {
+      await Vehicle.updateOne(
+        {
+          _id: reservation.vehicleId,
+          $or: [{ mileage: { $exists: false } }, { mileage: { $lt: mileage } }]
+        },
+        { mileage }
+      );
+    }
+  };
+
+  return changeReservationStatus(
+    req,
+    res,
+    "Completado",
+    "Reserva completada exitosamente",
+    applyChanges,
+    updateMileage
+  );
+};
+
+// Asignar o reasignar el técnico de una reserva
+// technicianId null quita la asignación
+export const assignReservation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { technicianId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de reserva no válido"
+      });
+    }
+
+    const reservation = await Reservation.findById(id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: "Reserva no encontrada"
+      });
+    }
+
+    if (!["Pendiente", "En proceso"].includes(reservation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden asignar reservas pendientes o en proceso"
+      });
+    }
+
+    if (technicianId) {
+      const technician = await Client.findById(technicianId).select("role");
+      if (!technician) {
+        return res.status(404).json({
+          success: false,
+          message: "Técnico no encontrado"
+        });
+      }
+
+      if (technician.role !== ROLES.MECHANIC) {
+        return res.status(400).json({
+          success: false,
+          message: "Solo se pueden asignar usuarios con rol de mecánico"
+        });
+      }
+
+      // Un técnico no puede tener dos trabajos al mismo tiempo
+      const conflict = await findTechnicianConflict(reservation, technicianId);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: conflict.message,
+          conflictingSlot: conflict.slot
+        });
+      }
+    }
+
+    reservation.assignedTo = technicianId || undefined;
+    await reservation.save();
+
+    const updatedReservation = await Reservation.findById(id)
+      .populate("clientId", "name email phone")
+      .populate("assignedTo", "name email");
+
+    emitReservationEvent(RESERVATION_EVENTS.UPDATED, updatedReservation);
+
+    res.status(200).json({
+      success: true,
+      message: technicianId ? "Técnico asignado exitosamente" : "Asignación eliminada exitosamente",
+      data: updatedReservation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al asignar el técnico",
+      error: error.message
+    });
+  }
+};
+
+// Cancelar una reserva indicando el motivo
+export const cancelReservation = (req, res) => {
+  return changeReservationStatus(req, res, "Cancelado", "Reserva cancelada exitosamente");
+};
+
+// Estados en los que una reserva puede eliminarse
+const DELETABLE_STATUSES = ["Pendiente", "Cancelado"];
+
 // Eliminar una reserva
+// Los clientes no eliminan reservas; las cancelan indicando el motivo
 export const deleteReservation = async (req, res) => {
   try {
     const { id } = req.params;
@@ -251,15 +920,51 @@ export const deleteReservation = async (req, res) => {
       });
     }
 
-    const deletedReservation = await Reservation.findByIdAndDelete(id);
+    const reservation = await Reservation.findById(id).select("status");
 
-    if (!deletedReservation) {
+    if (!reservation) {
       return res.status(404).json({
         success: false,
         message: "Reserva no encontrada"
       });
     }
 
+    // Las reservas iniciadas, completadas o no presentadas forman parte del historial y no se eliminan
+    if (!DELETABLE_STATUSES.includes(reservation.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Solo se pueden eliminar reservas pendientes o canceladas"
+      });
+    }
+
+    // No dejar cotizaciones, facturas ni movimientos de inventario apuntando a una reserva inexistente
+    const [quotes, invoices, movements] = await Promise.all([
+      Quote.exists({ reservationId: id }),
+      Invoice.exists({ reservationId: id }),
+      StockMovement.exists({ reservationId: id })
+    ]);
+    if (quotes || invoices || movements) {
+      return res.status(409).json({
+        success: false,
+        message: "No se puede eliminar una reserva con cotizaciones, facturas o movimientos de inventario"
+      });
+    }
+
+    // La condición sobre el estado evita eliminar una reserva que se inició mientras tanto
+    const deletedReservation = await Reservation.findOneAndDelete({
+      _id: id,
+      status: { $in: DELETABLE_STATUSES }
+    }).populate("clientId", "name email phone");
+
+    if (!deletedReservation) {
+      return res.status(409).json({
+        success: false,
+        message: "La reserva cambió de estado mientras se procesaba la petición"
+      });
+    }
+
+    emitReservationEvent(RESERVATION_EVENTS.DELETED, deletedReservation);
+
     res.status(200).json({
       success: true,
       message: "Reserva eliminada exitosamente"
@@ -0,0 +1,207 @@
+import Service from "../models/Service.js";
+import Reservation from "../models/Reservation.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../permissions.js";
+
+// Obtener los servicios del catálogo
+export const getAllServices = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    // Solo los administradores pueden ver los servicios inactivos
+    const filters = {};
+    if (!hasPermission(req.client.role, "services:manage")) {
+      filters.active = true;
+    } else if (active !== undefined) {
+      filters.active = active === "true";
+    }
+
+    const services = await Service.find(filters).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: services
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los servicios",
+      error: error.message
+    });
+  }
+};
+
+// Obtener un servicio por ID
+export const getServiceById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de servicio no válido"
+      });
+    }
+
+    const service = await Service.findById(id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: "Servicio no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el servicio",
+      error: error.message
+    });
+  }
+};
+
+// Crear un servicio
+export const createService = async (req, res) => {
+  try {
+    const { name, description, basePrice, estimatedDuration, active } = req.body;
+
+    const existingService = await Service.findOne({ name });
+    if (existingService) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un servicio con ese nombre"
+      });
+    }
+
+    const newService = new Service({
+      name,
+      description,
+      basePrice,
+      estimatedDuration,
+      active
+    });
+
+    const savedService = await newService.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Servicio creado exitosamente",
+      data: savedService
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un servicio con ese nombre"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al crear el servicio",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un servicio
+export const updateService = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de servicio no válido"
+      });
+    }
+
+    const service = await Service.findById(id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: "Servicio no encontrado"
+      });
+    }
+
+    const previousName = service.name;
+    service.set(updateData);
+    const updatedService = await service.save();
+
+    // Las reservas guardan el nombre del servicio, así que se renombran también
+    if (updatedService.name !== previousName) {
+      await Reservation.updateMany({ service: previousName }, { service: updatedService.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Servicio actualizado exitosamente",
+      data: updatedService
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Ya existe un servicio con ese nombre"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el servicio",
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un servicio
+export const deleteService = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de servicio no válido"
+      });
+    }
+
+    const service = await Service.findById(id);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: "Servicio no encontrado"
+      });
+    }
+
+    // Un servicio con reservas solo puede desactivarse
+    const reservations = await Reservation.countDocuments({ service: service.name });
+    if (reservations > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No se puede eliminar el servicio porque tiene reservas; desactívelo en su lugar"
+      });
+    }
+
+    await service.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Servicio eliminado exitosamente"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el servicio",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,195 @@
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+import { ROLES } from "../permissions.js";
+import { config } from "../config.js";
+
+// Las fechas se agrupan en la zona horaria del taller, igual que el horario de atención
+const TIMEZONE = config.workshop.timezone;
+
+// Formato de la clave de cada periodo ($dateToString)
+const PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m"
+};
+
+// Rango por defecto: los últimos 30 días
+const DEFAULT_RANGE_DAYS = 30;
+
+// Estados en los que el cliente no llegó a recibir el servicio
+const UNATTENDED_STATUSES = ["Cancelado", "No presentado"];
+
+// Agrupar por periodo una fecha del documento
+const periodKey = (field, groupBy) => ({
+  $dateToString: { format: PERIOD_FORMATS[groupBy], date: field, timezone: TIMEZONE }
+});
+
+// Contar los documentos de un $group que cumplen una condición
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Obtener las estadísticas del tablero para un rango de fechas
+export const getStats = async (req, res) => {
+  try {
+    const { groupBy = "day", limit = 10 } = req.query;
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: "La fecha inicial debe ser anterior a la fecha final"
+      });
+    }
+
+    // Una sola consulta sobre las reservas del rango calcula todos los indicadores
+    const [reservationStats] = await Reservation.aggregate([
+      {
+        $match: {
+          scheduledDate: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                cancelled: countIf({ $eq: ["$status", "Cancelado"] }),
+                noShows: countIf({ $eq: ["$status", "No presentado"] })
+              }
+            }
+          ],
+          byStatus: [
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, status: "$_id", count: 1 } }
+          ],
+          byService: [
+            {
+              $group: {
+                _id: "$service",
+                count: { $sum: 1 },
+                completed: countIf({ $eq: ["$status", "Completado"] })
+              }
+            },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, service: "$_id", count: 1, completed: 1 } }
+          ],
+          byPeriod: [
+            {
+              $group: {
+                _id: periodKey("$scheduledDate", groupBy),
+                count: { $sum: 1 },
+                completed: countIf({ $eq: ["$status", "Completado"] }),
+                cancelled: countIf({ $eq: ["$status", "Cancelado"] })
+              }
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, period: "$_id", count: 1, completed: 1, cancelled: 1 } }
+          ],
+          // Horas con más reservas atendidas (sin canceladas ni inasistencias)
+          busiestHours: [
+            { $match: { status: { $nin: UNATTENDED_STATUSES } } },
+            {
+              $group: {
+                _id: { $hour: { date: "$scheduledDate", timezone: TIMEZONE } },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, hour: "$_id", count: 1 } }
+          ],
+          // Clientes con dos o más reservas atendidas en el rango
+          topClients: [
+            { $match: { status: { $nin: UNATTENDED_STATUSES } } },
+            {
+              $group: {
+                _id: "$clientId",
+                reservations: { $sum: 1 },
+                lastVisit: { $max: "$scheduledDate" }
+              }
+            },
+            { $match: { reservations: { $gte: 2 } } },
+            { $sort: { reservations: -1, lastVisit: -1 } },
+            { $limit: limit * 1 },
+            {
+              $lookup: {
+                from: Client.collection.name,
+                localField: "_id",
+                foreignField: "_id",
+                as: "client"
+              }
+            },
+            { $unwind: "$client" },
+            {
+              $project: {
+                _id: 0,
+                client: {
+                  _id: "$client._id",
+                  name: "$client.name",
+                  email: "$client.email",
+                  phone: "$client.phone"
+                },
+                reservations: 1,
+                lastVisit: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    // Clientes registrados en el rango (sin contar al personal)
+    const [clientStats] = await Client.aggregate([
+      {
+        $match: {
+          role: ROLES.CLIENT,
+          createdAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byPeriod: [
+            { $group: { _id: periodKey("$createdAt", groupBy), count: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, period: "$_id", count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const { total = 0, cancelled = 0, noShows = 0 } = reservationStats.totals[0] || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        range: { startDate, endDate, groupBy, timezone: TIMEZONE },
+        reservations: {
+          total,
+          cancellationRate: total ? Number((cancelled / total).toFixed(4)) : 0,
+          noShowRate: total ? Number((noShows / total).toFixed(4)) : 0,
+          byStatus: reservationStats.byStatus,
+          byService: reservationStats.byService,
+          byPeriod: reservationStats.byPeriod,
+          busiestHours: reservationStats.busiestHours
+        },
+        clients: {
+          newClients: clientStats.total[0]?.count || 0,
+          newClientsByPeriod: clientStats.byPeriod,
+          topClients: reservationStats.topClients
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las estadísticas",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,106 @@
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+import mongoose from "mongoose";
+import { ROLES } from "../permissions.js";
+import { getDayBounds } from "../utils/businessCalendar.js";
+
+// Obtener los técnicos con su carga de trabajo pendiente
+export const getTechnicians = async (req, res) => {
+  try {
+    const technicians = await Client.find({ role: ROLES.MECHANIC })
+      .select("name email phone")
+      .sort({ name: 1 });
+
+    // Contar las reservas pendientes o en proceso asignadas a cada técnico
+    const workload = await Reservation.aggregate([
+      {
+        $match: {
+          assignedTo: { $in: technicians.map((technician) => technician._id) },
+          status: { $in: ["Pendiente", "En proceso"] }
+        }
+      },
+      {
+        $group: {
+          _id: "$assignedTo",
+          activeReservations: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const workloadByTechnician = new Map(
+      workload.map((entry) => [entry._id.toString(), entry.activeReservations])
+    );
+
+    res.status(200).json({
+      success: true,
+      data: technicians.map((technician) => ({
+        ...technician.toJSON(),
+        activeReservations: workloadByTechnician.get(technician._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los técnicos",
+      error: error.message
+    });
+  }
+};
+
+// Obtener la agenda de un técnico para un día
+export const getTechnicianAgenda = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de técnico no válido"
+      });
+    }
+
+    const technician = await Client.findOne({ _id: id, role: ROLES.MECHANIC }).select("name email phone");
+
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: "Técnico no encontrado"
+      });
+    }
+
+    // Interpretar la fecha en la zona horaria del taller
+    const { start: dayStart, end: dayEnd } = getDayBounds(date);
+
+    const reservations = await Reservation.find({
+      assignedTo: id,
+      status: { $nin: ["Cancelado", "No presentado"] },
+      scheduledDate: { $gte: dayStart, $lt: dayEnd }
+    })
+      .populate("clientId", "name phone")
+      .select("clientId vehicleId vehicle service status scheduledDate endDate notes")
+      .sort({ scheduledDate: 1 });
+
+    // Minutos de trabajo programados en el día
+    const scheduledMinutes = reservations.reduce(
+      (total, reservation) => total + (reservation.endDate - reservation.scheduledDate) / 60000,
+      0
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        technician,
+        date,
+        scheduledMinutes,
+        reservations
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener la agenda del técnico",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,195 @@
+import Vehicle from "../models/Vehicle.js";
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+
+// Respuesta para placas o VIN duplicados
+const duplicateMessage = (error) => {
+  return error.keyPattern?.vin
+    ? "El VIN ya está registrado"
+    : "La placa ya está registrada";
+};
+
+// Obtener los vehículos de un cliente
+export const getClientVehicles = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await Client.findById(id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    const vehicles = await Vehicle.find({ clientId: id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: vehicles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los vehículos",
+      error: error.message
+    });
+  }
+};
+
+// Obtener un vehículo de un cliente
+export const getVehicleById = async (req, res) => {
+  try {
+    const { id, vehicleId } = req.params;
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, clientId: id });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehículo no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vehicle
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el vehículo",
+      error: error.message
+    });
+  }
+};
+
+// Registrar un vehículo para un cliente
+export const createVehicle = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { plate, make, model, year, vin, mileage } = req.body;
+
+    const client = await Client.findById(id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Cliente no encontrado"
+      });
+    }
+
+    const newVehicle = new Vehicle({
+      clientId: id,
+      plate,
+      make,
+      model,
+      year,
+      vin,
+      mileage
+    });
+
+    const savedVehicle = await newVehicle.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Vehículo registrado exitosamente",
+      data: savedVehicle
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al registrar el vehículo",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un vehículo
+export const updateVehicle = async (req, res) => {
+  try {
+    const { id, vehicleId } = req.params;
+    const { plate, make, model, year, vin, mileage } = req.body;
+
+    const updatedVehicle = await Vehicle.findOneAndUpdate(
+      { _id: vehicleId, clientId: id },
+      { plate, make, model, year, vin, mileage },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!updatedVehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehículo no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Vehículo actualizado exitosamente",
+      data: updatedVehicle
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateMessage(error)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el vehículo",
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un vehículo
+export const deleteVehicle = async (req, res) => {
+  try {
+    const { id, vehicleId } = req.params;
+
+    // Verificar si el vehículo tiene reservas activas
+    const activeReservations = await Reservation.countDocuments({
+      vehicleId,
+      status: { $in: ["Pendiente", "En proceso"] }
+    });
+
+    if (activeReservations > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No se puede eliminar el vehículo porque tiene reservas activas"
+      });
+    }
+
+    const deletedVehicle = await Vehicle.findOneAndDelete({ _id: vehicleId, clientId: id });
+
+    if (!deletedVehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "Vehículo no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Vehículo eliminado exitosamente"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el vehículo",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,340 @@
+import WebhookSubscription, { WEBHOOK_PING_EVENT } from "../models/WebhookSubscription.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import mongoose from "mongoose";
+import { deliverWebhook } from "../jobs/webhookWorker.js";
+
+// Obtener los webhooks registrados
+export const getAllWebhooks = async (req, res) => {
+  try {
+    const { event, active } = req.query;
+
+    const filters = {};
+    if (event) {
+      filters.events = event;
+    }
+    if (active !== undefined) {
+      filters.active = active === "true";
+    }
+
+    const webhooks = await WebhookSubscription.find(filters).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: webhooks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener los webhooks",
+      error: error.message
+    });
+  }
+};
+
+// Obtener un webhook por ID
+export const getWebhookById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de webhook no válido"
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener el webhook",
+      error: error.message
+    });
+  }
+};
+
+// Registrar un webhook
+// Si no se indica un secreto se genera uno; solo se muestra en esta respuesta
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events, secret, description, active } = req.body;
+
+    const newWebhook = new WebhookSubscription({
+      url,
+      events,
+      secret,
+      description,
+      active,
+      createdBy: req.client._id
+    });
+
+    const savedWebhook = await newWebhook.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook creado exitosamente",
+      data: {
+        ...savedWebhook.toJSON(),
+        secret: savedWebhook.secret
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al crear el webhook",
+      error: error.message
+    });
+  }
+};
+
+// Actualizar un webhook
+export const updateWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { createdBy, ...updateData } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de webhook no válido"
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook no encontrado"
+      });
+    }
+
+    webhook.set(updateData);
+    const updatedWebhook = await webhook.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook actualizado exitosamente",
+      data: updatedWebhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al actualizar el webhook",
+      error: error.message
+    });
+  }
+};
+
+// Eliminar un webhook junto con su registro de entregas
+export const deleteWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de webhook no válido"
+      });
+    }
+
+    const deletedWebhook = await WebhookSubscription.findByIdAndDelete(id);
+
+    if (!deletedWebhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook no encontrado"
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ subscriptionId: deletedWebhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook eliminado exitosamente"
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al eliminar el webhook",
+      error: error.message
+    });
+  }
+};
+
+// Obtener el registro de entregas de un webhook
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de webhook no válido"
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook no encontrado"
+      });
+    }
+
+    const filters = { subscriptionId: id };
+    if (status) {
+      filters.status = status;
+    }
+    if (event) {
+      filters.event = event;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(filters)
+      .limit(limit * 1)
+      .skip(skip)
+      .sort({ createdAt: -1 });
+
+    const total = await WebhookDelivery.countDocuments(filters);
+
+    res.status(200).json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: page * 1,
+        totalPages: Math.ceil(total / limit),
+        totalDeliveries: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al obtener las entregas del webhook",
+      error: error.message
+    });
+  }
+};
+
+// Enviar un evento de prueba al webhook y devolver el resultado
+// La entrega se crea ya tomada para que el trabajo en segundo plano no la envíe a la vez
+export const testWebhook = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de webhook no válido"
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook no encontrado"
+      });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: webhook._id,
+      event: WEBHOOK_PING_EVENT,
+      payload: {
+        type: WEBHOOK_PING_EVENT,
+        webhook: { _id: webhook._id, url: webhook.url, events: webhook.events },
+        occurredAt: new Date()
+      },
+      status: "Enviando",
+      lockedAt: new Date(),
+      attempts: 1
+    });
+
+    const result = await deliverWebhook(delivery);
+
+    res.status(200).json({
+      success: true,
+      message: result.status === "Entregado"
+        ? "Evento de prueba entregado exitosamente"
+        : "No se pudo entregar el evento de prueba",
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al probar el webhook",
+      error: error.message
+    });
+  }
+};
+
+// Reenviar una entrega de inmediato
+// Las entregas fallidas tienen un único intento adicional
+export const retryWebhookDelivery = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID de entrega no válido"
+      });
+    }
+
+    // Tomar la entrega de forma atómica para no enviarla a la vez que el trabajo en segundo plano
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: id, status: { $in: ["Pendiente", "Fallido"] } },
+      { status: "Enviando", lockedAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: id });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Entrega no encontrada"
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: "La entrega ya fue enviada o se está enviando"
+      });
+    }
+
+    const result = await deliverWebhook(delivery);
+
+    res.status(200).json({
+      success: true,
+      message: result.status === "Entregado"
+        ? "Entrega reenviada exitosamente"
+        : "No se pudo reenviar la entrega",
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al reenviar la entrega",
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,74 @@
+import { EventEmitter } from "events";
+
+// Eventos del ciclo de vida de una reserva
+export const RESERVATION_EVENTS = {
+  CREATED: "reservation.created",
+  UPDATED: "reservation.updated",
+  RESCHEDULED: "reservation.rescheduled",
+  STATUS_CHANGED: "reservation.status_changed",
+  STARTED: "reservation.started",
+  COMPLETED: "reservation.completed",
+  CANCELLED: "reservation.cancelled",
+  DELETED: "reservation.deleted",
+  REMINDER: "reservation.reminder",
+  NO_SHOW: "reservation.no_show"
+};
+
+// Eventos de los clientes
+export const CLIENT_EVENTS = {
+  CREATED: "client.created",
+  UPDATED: "client.updated",
+  DELETED: "client.deleted"
+};
+
+// Evento que se publica al pasar una reserva a cada estado
+const STATUS_EVENTS = {
+  "En proceso": RESERVATION_EVENTS.STARTED,
+  "Completado": RESERVATION_EVENTS.COMPLETED,
+  "Cancelado": RESERVATION_EVENTS.CANCELLED,
+  "No presentado": RESERVATION_EVENTS.NO_SHOW
+};
+
+// Bus de eventos de la aplicación
+// Los controladores publican los eventos y los suscriptores (notificaciones, webhooks, etc.) reaccionan a ellos
+export const events = new EventEmitter();
+
+// Cada conexión en tiempo real agrega sus propios suscriptores, así que no se limita su número
+events.setMaxListeners(0);
+
+// Convertir un documento de Mongoose en un objeto plano para los suscriptores
+const toPlain = (document) => {
+  return typeof document.toJSON === "function" ? document.toJSON() : document;
+};
+
+// Publicar un evento de una reserva
+// La reserva debe tener el cliente populado para que los suscriptores puedan contactarlo
+// details permite agregar datos propios del evento (por ejemplo, el estado anterior)
+export const emitReservationEvent = (type, reservation, details = {}) => {
+  events.emit(type, {
+    type,
+    reservation: toPlain(reservation),
+    ...details,
+    occurredAt: new Date()
+  });
+};
+
+// Publicar el cambio de estado de una reserva
+// Se publica el evento genérico de cambio de estado y, si existe, el evento propio del nuevo estado
+export const emitStatusChange = (reservation, previousStatus) => {
+  emitReservationEvent(RESERVATION_EVENTS.STATUS_CHANGED, reservation, { previousStatus });
+
+  const type = STATUS_EVENTS[reservation.status];
+  if (type) {
+    emitReservationEvent(type, reservation);
+  }
+};
+
+// Publicar un evento de un cliente
+export const emitClientEvent = (type, client) => {
+  events.emit(type, {
+    type,
+    client: toPlain(client),
+    occurredAt: new Date()
+  });
+};
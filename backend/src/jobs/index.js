@@ -0,0 +1,36 @@
+import { processOutbox } from "./outboxWorker.js";
+import { processWebhooks } from "./webhookWorker.js";
+import { sendReminders } from "./reminders.js";
+import { markNoShows } from "./noShows.js";
+import { config } from "../config.js";
+
+// Ejecutar un trabajo periódicamente sin solapar ejecuciones
+const schedule = (name, job, interval) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.log(`Error running job ${name}:`, error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  // El temporizador no impide que el proceso termine
+  timer.unref();
+  return timer;
+};
+
+// Iniciar los trabajos en segundo plano
+export const startJobs = () => {
+  schedule("outbox", processOutbox, config.outbox.pollInterval);
+  schedule("webhooks", processWebhooks, config.webhooks.pollInterval);
+  schedule("reminders", sendReminders, config.reminders.interval);
+  schedule("no-shows", markNoShows, config.noShows.interval);
+};
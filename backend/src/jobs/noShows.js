@@ -0,0 +1,48 @@
+import Reservation from "../models/Reservation.js";
+import Client from "../models/Client.js";
+import { RESERVATION_EVENTS, emitReservationEvent, emitStatusChange } from "../events.js";
+import { config } from "../config.js";
+
+const NO_SHOW_REASON = "El cliente no se presentó a la hora programada";
+
+// Marcar como "No presentado" las reservas pendientes cuya hora ya pasó
+// y sumar la inasistencia al cliente
+export const markNoShows = async () => {
+  const limitDate = new Date(Date.now() - config.noShows.gracePeriod * 60000);
+
+  const reservations = await Reservation.find({
+    status: "Pendiente",
+    scheduledDate: { $lte: limitDate }
+  }).select("_id");
+
+  for (const { _id } of reservations) {
+    // La condición sobre el estado evita contar dos veces si la reserva cambió mientras tanto
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id, status: "Pendiente" },
+      {
+        status: "No presentado",
+        // Las aplicaciones de calendario solo reemplazan el evento si la secuencia aumenta
+        $inc: { icsSequence: 1 },
+        $push: {
+          statusHistory: {
+            previousStatus: "Pendiente",
+            newStatus: "No presentado",
+            changedAt: new Date(),
+            reason: NO_SHOW_REASON
+          }
+        }
+      },
+      { new: true }
+    ).populate("clientId", "name email phone");
+
+    if (!reservation) {
+      continue;
+    }
+
+    if (reservation.clientId) {
+      await Client.updateOne({ _id: reservation.clientId._id }, { $inc: { noShowCount: 1 } });
+    }
+    emitReservationEvent(RESERVATION_EVENTS.UPDATED, reservation);
+    emitStatusChange(reservation, "Pendiente");
+  }
+};
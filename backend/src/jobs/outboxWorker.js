@@ -0,0 +1,71 @@
+import Outbox from "../models/Outbox.js";
+import { getTransport } from "../notifications/transports.js";
+import { config } from "../config.js";
+
+// Tiempo tras el cual un mensaje en envío se considera abandonado (por ejemplo, si el proceso se reinició)
+const LOCK_TIMEOUT = 5 * 60000;
+
+// Texto que reemplaza el contenido de un mensaje sensible cuando ya no se va a enviar
+const REDACTED_TEXT = "Contenido eliminado después del envío";
+
+// Tomar el siguiente mensaje listo para enviar de forma atómica
+// Así dos procesos no envían el mismo mensaje
+const claimNextMessage = () => {
+  const now = new Date();
+  return Outbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: "Pendiente", nextAttemptAt: { $lte: now } },
+        { status: "Enviando", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { status: "Enviando", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Enviar un mensaje y registrar el resultado
+// Si falla, se reintenta con una espera que se duplica en cada intento
+const deliver = async (message) => {
+  try {
+    await getTransport().send({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: message.attachments?.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+    });
+
+    message.status = "Enviado";
+    message.sentAt = new Date();
+    message.lastError = undefined;
+  } catch (error) {
+    const { maxAttempts, retryDelay } = config.outbox;
+
+    message.lastError = error.message;
+    if (message.attempts >= maxAttempts) {
+      message.status = "Fallido";
+    } else {
+      message.status = "Pendiente";
+      message.nextAttemptAt = new Date(Date.now() + retryDelay * 2 ** (message.attempts - 1));
+    }
+  }
+
+  // Borrar el enlace de la cuenta cuando el mensaje ya se envió o no se volverá a intentar
+  if (message.sensitive && message.status !== "Pendiente") {
+    message.text = REDACTED_TEXT;
+    message.html = undefined;
+  }
+
+  message.lockedAt = undefined;
+  await message.save();
+};
+
+// Enviar todos los mensajes listos de la bandeja de salida
+export const processOutbox = async () => {
+  let message = await claimNextMessage();
+  while (message) {
+    await deliver(message);
+    message = await claimNextMessage();
+  }
+};
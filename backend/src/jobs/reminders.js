@@ -0,0 +1,47 @@
+import Reservation from "../models/Reservation.js";
+import { RESERVATION_EVENTS, emitReservationEvent } from "../events.js";
+import { config } from "../config.js";
+
+const HOUR = 3600000;
+
+// Enviar los recordatorios de las reservas pendientes próximas
+// Cada recordatorio se marca como enviado antes de publicarse, así un reinicio nunca lo duplica
+export const sendReminders = async () => {
+  const offsets = [...config.reminders.offsets].sort((a, b) => a - b);
+  if (offsets.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+  const reservations = await Reservation.find({
+    status: "Pendiente",
+    scheduledDate: { $gt: now, $lte: new Date(now.getTime() + offsets[offsets.length - 1] * HOUR) },
+    // Si ya se envió el último recordatorio, no queda ninguno por enviar
+    remindersSent: { $ne: offsets[0] }
+  }).select("scheduledDate remindersSent createdAt");
+
+  for (const reservation of reservations) {
+    // Recordatorio más cercano que ya corresponde enviar
+    const hoursLeft = (reservation.scheduledDate - now) / HOUR;
+    const offset = offsets.find((hours) => hoursLeft <= hours);
+    if (reservation.remindersSent.includes(offset)) {
+      continue;
+    }
+
+    // Los recordatorios anteriores que no se alcanzaron a enviar ya no se envían
+    const dueOffsets = offsets.filter((hours) => hours >= offset);
+
+    const claimed = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: "Pendiente", remindersSent: { $ne: offset } },
+      { $addToSet: { remindersSent: { $each: dueOffsets } } },
+      { new: true }
+    ).populate("clientId", "name email phone");
+
+    // Si la reserva se creó dentro del plazo del recordatorio, el cliente ya recibió la confirmación
+    const bookedInsideWindow = reservation.createdAt > new Date(reservation.scheduledDate - offset * HOUR);
+
+    if (claimed && !bookedInsideWindow) {
+      emitReservationEvent(RESERVATION_EVENTS.REMINDER, claimed);
+    }
+  }
+};
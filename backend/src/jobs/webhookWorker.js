@@ -0,0 +1,95 @@
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import WebhookSubscription from "../models/WebhookSubscription.js";
+import { signPayload } from "../webhooks/signature.js";
+import { config } from "../config.js";
+
+// Tiempo tras el cual una entrega en envío se considera abandonada (por ejemplo, si el proceso se reinició)
+const LOCK_TIMEOUT = 5 * 60000;
+
+// Longitud máxima de la respuesta del receptor que se guarda en el registro
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Tomar la siguiente entrega lista para enviar de forma atómica
+// Así dos procesos no envían la misma entrega
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "Pendiente", nextAttemptAt: { $lte: now } },
+        { status: "Enviando", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { status: "Enviando", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Enviar la petición firmada al receptor
+// Cualquier respuesta fuera del rango 2xx se considera un fallo
+const post = async (subscription, delivery) => {
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(subscription.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "PartPlus-Webhooks/1.0",
+      "X-PartPlus-Event": delivery.event,
+      "X-PartPlus-Delivery": delivery._id.toString(),
+      "X-PartPlus-Timestamp": String(timestamp),
+      "X-PartPlus-Signature": signPayload(subscription.secret, timestamp, body)
+    },
+    body,
+    signal: AbortSignal.timeout(config.webhooks.timeout)
+  });
+
+  delivery.responseStatus = response.status;
+  delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+
+  if (!response.ok) {
+    throw new Error(`El receptor respondió con el código ${response.status}`);
+  }
+};
+
+// Enviar una entrega ya tomada y registrar el resultado
+// Si falla, se reintenta con una espera que se duplica en cada intento
+export const deliverWebhook = async (delivery) => {
+  try {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select("+secret");
+    if (!subscription || !subscription.active) {
+      const error = new Error("El webhook no existe o está inactivo");
+      error.permanent = true;
+      throw error;
+    }
+
+    await post(subscription, delivery);
+
+    delivery.status = "Entregado";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    const { maxAttempts, retryDelay } = config.webhooks;
+
+    delivery.lastError = error.message;
+    if (error.permanent || delivery.attempts >= maxAttempts) {
+      delivery.status = "Fallido";
+    } else {
+      delivery.status = "Pendiente";
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  delivery.lockedAt = undefined;
+  return delivery.save();
+};
+
+// Enviar todas las entregas de webhooks listas
+export const processWebhooks = async () => {
+  let delivery = await claimNextDelivery();
+  while (delivery) {
+    await deliverWebhook(delivery);
+    delivery = await claimNextDelivery();
+  }
+};
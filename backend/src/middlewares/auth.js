@@ -0,0 +1,161 @@
+import jwt from "jsonwebtoken";
+import { config } from "../config.js";
+import Client from "../models/Client.js";
+import Reservation from "../models/Reservation.js";
+import { hasPermission, allowsOwn } from "../permissions.js";
+
+// Obtener el token desde la cookie o desde el header Authorization
+export const getTokenFromRequest = (req) => {
+  if (req.cookies?.authToken) {
+    return req.cookies.authToken;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split(" ")[1];
+  }
+
+  return null;
+};
+
+// Middleware para aceptar el token en el parámetro ?token=
+// Solo para flujos de eventos: EventSource no permite enviar el header Authorization
+export const acceptQueryToken = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Middleware para verificar el token JWT y cargar el cliente autenticado
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getTokenFromRequest(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "No autenticado"
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.JWT.secret);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Token no válido o expirado"
+      });
+    }
+
+    const client = await Client.findById(decoded.id).select("-password +passwordChangedAt");
+    if (!client) {
+      return res.status(401).json({
+        success: false,
+        message: "Token no válido o expirado"
+      });
+    }
+
+    // Cambiar la contraseña cierra las sesiones iniciadas antes del cambio
+    if (client.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "La contraseña cambió; inicia sesión de nuevo"
+      });
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error al verificar la autenticación",
+      error: error.message
+    });
+  }
+};
+
+// Respuesta para accesos no permitidos
+const forbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: "No tienes permiso para acceder a este recurso"
+  });
+};
+
+// Middleware para verificar que el rol tenga el permiso sobre cualquier recurso
+export const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.client.role, permission)) {
+      return forbidden(res);
+    }
+    next();
+  };
+};
+
+// Middleware para verificar que el cliente autenticado sea el dueño del recurso
+// o que su rol tenga el permiso sobre cualquier recurso.
+// Se indica dónde buscar el ID del cliente: params, body o query
+export const authorizeClientOwner = (permission, location = "params", field = "id") => {
+  return (req, res, next) => {
+    if (hasPermission(req.client.role, permission)) {
+      return next();
+    }
+
+    const clientId = req[location]?.[field];
+    const isOwner = !clientId || clientId.toString() === req.client._id.toString();
+
+    if (!allowsOwn(permission) || !isOwner) {
+      return forbidden(res);
+    }
+    next();
+  };
+};
+
+// Middleware para verificar que un documento con clientId (reserva, factura, etc.)
+// pertenezca al cliente autenticado o que su rol tenga el permiso sobre cualquiera
+export const authorizeDocumentOwner = (Model, permission) => {
+  return async (req, res, next) => {
+    try {
+      if (hasPermission(req.client.role, permission)) {
+        return next();
+      }
+
+      if (!allowsOwn(permission)) {
+        return forbidden(res);
+      }
+
+      const document = await Model.findById(req.params.id).select("clientId");
+
+      // Si el documento no existe, el controlador responde con 404
+      if (document && document.clientId.toString() !== req.client._id.toString()) {
+        return forbidden(res);
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error al verificar los permisos",
+        error: error.message
+      });
+    }
+  };
+};
+
+// Middleware para verificar que la reserva pertenezca al cliente autenticado
+// o que su rol tenga el permiso sobre cualquier reserva
+export const authorizeReservationOwner = (permission) => {
+  return authorizeDocumentOwner(Reservation, permission);
+};
+
+// Middleware para verificar que solo el personal registre una inasistencia al actualizar una reserva
+// Los demás cambios de estado tienen su propio endpoint
+export const authorizeStatusChange = (req, res, next) => {
+  const { status } = req.body;
+
+  if (status === "No presentado" && !hasPermission(req.client.role, "reservations:progress")) {
+    return forbidden(res);
+  }
+  next();
+};
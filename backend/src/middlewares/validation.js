@@ -1,5 +1,12 @@
-import { body, param, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
 import Client from "../models/Client.js";
+import Service from "../models/Service.js";
+import { RESERVATION_STATUSES } from "../models/Reservation.js";
+import { LINE_ITEM_TYPES } from "../models/lineItem.js";
+import { STOCK_MOVEMENT_TYPES } from "../models/StockMovement.js";
+import { WEBHOOK_EVENTS } from "../models/WebhookSubscription.js";
+import { EXPORT_FORMATS } from "../utils/export.js";
+import { ROLES } from "../permissions.js";
 
 // Middleware para manejar errores de validación
 export const handleValidationErrors = (req, res, next) => {
@@ -14,8 +21,18 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Verificar que el servicio exista en el catálogo y esté activo
+const isActiveService = async (value) => {
+  const service = await Service.findOne({ name: value, active: true });
+  if (!service) {
+    throw new Error("Servicio no válido");
+  }
+  return true;
+};
+
 // Validaciones para clientes
-export const validateClient = [
+// Las reglas se exportan por separado para validar también las filas importadas
+export const clientRules = [
   body("name")
     .trim()
     .notEmpty()
@@ -44,8 +61,11 @@ export const validateClient = [
   
   body("age")
     .isInt({ min: 18, max: 120 })
-    .withMessage("La edad debe ser un número entre 18 y 120"),
-  
+    .withMessage("La edad debe ser un número entre 18 y 120")
+];
+
+export const validateClient = [
+  ...clientRules,
   handleValidationErrors
 ];
 
@@ -64,10 +84,11 @@ export const validateClientUpdate = [
     .withMessage("Debe ser un email válido")
     .normalizeEmail(),
   
+  // La contraseña solo se cambia con el endpoint propio, que exige la contraseña actual
   body("password")
-    .optional()
-    .isLength({ min: 6 })
-    .withMessage("La contraseña debe tener al menos 6 caracteres"),
+    .not()
+    .exists()
+    .withMessage("La contraseña se cambia con PATCH /api/clients/me/password"),
   
   body("phone")
     .optional()
@@ -83,15 +104,199 @@ export const validateClientUpdate = [
   handleValidationErrors
 ];
 
+// Validación para cambiar la contraseña
+export const validateChangePassword = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("La contraseña actual es obligatoria"),
+  
+  body("newPassword")
+    .isLength({ min: 6 })
+    .withMessage("La nueva contraseña debe tener al menos 6 caracteres")
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error("La nueva contraseña debe ser diferente de la actual");
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validación para cambiar el rol de un cliente
+export const validateRole = [
+  body("role")
+    .notEmpty()
+    .withMessage("El rol es obligatorio")
+    .isIn(Object.values(ROLES))
+    .withMessage("Rol no válido"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para inicio de sesión
+export const validateLogin = [
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("El email es obligatorio")
+    .isEmail()
+    .withMessage("Debe ser un email válido")
+    .normalizeEmail(),
+  
+  body("password")
+    .notEmpty()
+    .withMessage("La contraseña es obligatoria"),
+  
+  handleValidationErrors
+];
+
+// Validación para solicitar el restablecimiento de la contraseña
+export const validateForgotPassword = [
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("El email es obligatorio")
+    .isEmail()
+    .withMessage("Debe ser un email válido")
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+// Validación del token de los enlaces de la cuenta
+const accountToken = () =>
+  body("token")
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage("El enlace no es válido o ya expiró");
+
+// Validación para restablecer la contraseña
+export const validateResetPassword = [
+  accountToken(),
+  
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("La contraseña debe tener al menos 6 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Validación para verificar el email
+export const validateVerifyEmail = [
+  accountToken(),
+  
+  handleValidationErrors
+];
+
+// Validaciones para vehículos
+export const validateVehicle = [
+  body("plate")
+    .trim()
+    .notEmpty()
+    .withMessage("La placa es obligatoria")
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{4,10}$/)
+    .withMessage("Debe ser una placa válida"),
+  
+  body("make")
+    .trim()
+    .notEmpty()
+    .withMessage("La marca es obligatoria")
+    .isLength({ max: 50 })
+    .withMessage("La marca no puede exceder 50 caracteres"),
+  
+  body("model")
+    .trim()
+    .notEmpty()
+    .withMessage("El modelo es obligatorio")
+    .isLength({ max: 50 })
+    .withMessage("El modelo no puede exceder 50 caracteres"),
+  
+  body("year")
+    .optional()
+    .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+    .withMessage("El año no es válido"),
+  
+  body("vin")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-HJ-NPR-Z0-9]{17}$/)
+    .withMessage("Debe ser un VIN válido de 17 caracteres"),
+  
+  body("mileage")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El kilometraje debe ser un número positivo"),
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar vehículo (campos opcionales)
+export const validateVehicleUpdate = [
+  body("plate")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{4,10}$/)
+    .withMessage("Debe ser una placa válida"),
+  
+  body("make")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("La marca debe tener entre 1 y 50 caracteres"),
+  
+  body("model")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("El modelo debe tener entre 1 y 50 caracteres"),
+  
+  body("year")
+    .optional()
+    .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+    .withMessage("El año no es válido"),
+  
+  body("vin")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-HJ-NPR-Z0-9]{17}$/)
+    .withMessage("Debe ser un VIN válido de 17 caracteres"),
+  
+  body("mileage")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El kilometraje debe ser un número positivo"),
+  
+  handleValidationErrors
+];
+
+// Normalizar el email del cliente de una reserva importada igual que al registrarlo,
+// para encontrarlo aunque el archivo lo escriba de otra forma (mayúsculas, puntos en Gmail)
+export const importClientEmailRules = [
+  body("clientEmail")
+    .trim()
+    .normalizeEmail()
+];
+
 // Validaciones para reservas
-export const validateReservation = [
+export const reservationRules = [
   body("clientId")
     .notEmpty()
     .withMessage("El ID del cliente es obligatorio")
     .isMongoId()
     .withMessage("ID de cliente no válido"),
   
+  body("vehicleId")
+    .optional()
+    .isMongoId()
+    .withMessage("ID de vehículo no válido"),
+  
+  // Si se indica un vehículo registrado, la descripción se toma de él
   body("vehicle")
+    .if(body("vehicleId").not().exists())
     .trim()
     .notEmpty()
     .withMessage("El vehículo es obligatorio")
@@ -101,18 +306,7 @@ export const validateReservation = [
   body("service")
     .notEmpty()
     .withMessage("El servicio es obligatorio")
-    .isIn([
-      "Mantenimiento preventivo",
-      "Cambio de aceite",
-      "Revisión de frenos",
-      "Alineación y balanceo",
-      "Revisión de motor",
-      "Cambio de llantas",
-      "Revisión eléctrica",
-      "Diagnóstico general",
-      "Otros"
-    ])
-    .withMessage("Servicio no válido"),
+    .custom(isActiveService),
   
   body("scheduledDate")
     .notEmpty()
@@ -128,15 +322,18 @@ export const validateReservation = [
   
   body("status")
     .optional()
-    .isIn(["Pendiente", "En proceso", "Completado", "Cancelado"])
+    .isIn(RESERVATION_STATUSES)
     .withMessage("Estado no válido"),
   
   body("notes")
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage("Las notas no pueden exceder 500 caracteres"),
-  
+    .withMessage("Las notas no pueden exceder 500 caracteres")
+];
+
+export const validateReservation = [
+  ...reservationRules,
   handleValidationErrors
 ];
 
@@ -147,6 +344,11 @@ export const validateReservationUpdate = [
     .isMongoId()
     .withMessage("ID de cliente no válido"),
   
+  body("vehicleId")
+    .optional()
+    .isMongoId()
+    .withMessage("ID de vehículo no válido"),
+  
   body("vehicle")
     .optional()
     .trim()
@@ -155,18 +357,7 @@ export const validateReservationUpdate = [
   
   body("service")
     .optional()
-    .isIn([
-      "Mantenimiento preventivo",
-      "Cambio de aceite",
-      "Revisión de frenos",
-      "Alineación y balanceo",
-      "Revisión de motor",
-      "Cambio de llantas",
-      "Revisión eléctrica",
-      "Diagnóstico general",
-      "Otros"
-    ])
-    .withMessage("Servicio no válido"),
+    .custom(isActiveService),
   
   body("scheduledDate")
     .optional()
@@ -179,10 +370,12 @@ export const validateReservationUpdate = [
       return true;
     }),
   
+  // Solo la inasistencia se registra aquí; los demás estados tienen su propia acción
+  // (start, complete y cancel) con sus verificaciones y datos obligatorios
   body("status")
     .optional()
-    .isIn(["Pendiente", "En proceso", "Completado", "Cancelado"])
-    .withMessage("Estado no válido"),
+    .equals("No presentado")
+    .withMessage("Estado no válido; usa las acciones start, complete o cancel de la reserva"),
   
   body("notes")
     .optional()
@@ -193,6 +386,600 @@ export const validateReservationUpdate = [
   handleValidationErrors
 ];
 
+// Validación para completar una reserva
+export const validateCompleteReservation = [
+  body("workPerformed")
+    .trim()
+    .notEmpty()
+    .withMessage("El trabajo realizado es obligatorio")
+    .isLength({ max: 2000 })
+    .withMessage("El trabajo realizado no puede exceder 2000 caracteres"),
+  
+  body("partsUsed")
+    .optional()
+    .isArray()
+    .withMessage("Los repuestos deben ser una lista"),
+  
+  // El nombre se toma del inventario cuando se indica partId
+  body("partsUsed.*")
+    .custom((part) => Boolean(part.partId || part.name?.trim()))
+    .withMessage("El nombre del repuesto es obligatorio"),
+  
+  body("partsUsed.*.partId")
+    .optional()
+    .isMongoId()
+    .withMessage("ID de repuesto no válido"),
+  
+  body("partsUsed.*.name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("El nombre del repuesto no puede exceder 100 caracteres"),
+  
+  body("partsUsed.*.partNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("El número de parte no puede exceder 50 caracteres"),
+  
+  body("partsUsed.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("La cantidad debe ser un número mayor a 0")
+    .toInt(),
+  
+  body("mileage")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El kilometraje debe ser un número positivo")
+    .toInt(),
+  
+  body("technicianNotes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Las notas del técnico no pueden exceder 1000 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Validación para cancelar una reserva
+export const validateCancelReservation = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("El motivo de cancelación es obligatorio")
+    .isLength({ max: 500 })
+    .withMessage("El motivo no puede exceder 500 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Validación para asignar un técnico a una reserva
+export const validateAssignReservation = [
+  body("technicianId")
+    .exists()
+    .withMessage("El técnico es obligatorio (null para quitar la asignación)"),
+  
+  body("technicianId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("ID de técnico no válido"),
+  
+  handleValidationErrors
+];
+
+// Validación para consultar la disponibilidad
+export const validateAvailability = [
+  query("date")
+    .notEmpty()
+    .withMessage("La fecha es obligatoria")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("La fecha debe tener el formato YYYY-MM-DD"),
+  
+  query("service")
+    .notEmpty()
+    .withMessage("El servicio es obligatorio")
+    .custom(isActiveService),
+  
+  handleValidationErrors
+];
+
+// Validación para los filtros del flujo en tiempo real de reservas
+export const validateReservationStream = [
+  query("status")
+    .optional()
+    .custom((value) => value.split(",").every((status) => RESERVATION_STATUSES.includes(status)))
+    .withMessage(`Los estados deben ser uno de: ${RESERVATION_STATUSES.join(", ")}`),
+  
+  query("date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("La fecha debe tener el formato YYYY-MM-DD"),
+  
+  query("clientId")
+    .optional()
+    .isMongoId()
+    .withMessage("ID de cliente no válido"),
+  
+  query("assignedTo")
+    .optional()
+    .isMongoId()
+    .withMessage("ID de técnico no válido"),
+  
+  handleValidationErrors
+];
+
+// Validación para exportar listados
+export const validateExport = [
+  query("format")
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`El formato debe ser uno de: ${EXPORT_FORMATS.join(", ")}`),
+  
+  handleValidationErrors
+];
+
+// Validación para importar un archivo CSV
+export const validateImport = [
+  query("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun debe ser true o false"),
+  
+  body()
+    .custom((value) => {
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error("Debe enviar el contenido del archivo CSV con Content-Type text/csv");
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validación para las estadísticas del tablero
+export const validateStats = [
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("La fecha inicial debe ser una fecha válida"),
+  
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("La fecha final debe ser una fecha válida"),
+  
+  query("groupBy")
+    .optional()
+    .isIn(["day", "week", "month"])
+    .withMessage("La agrupación debe ser uno de: day, week, month"),
+  
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("El límite debe ser un número entre 1 y 50"),
+  
+  handleValidationErrors
+];
+
+// Validación para consultar la agenda de un técnico
+export const validateAgenda = [
+  query("date")
+    .notEmpty()
+    .withMessage("La fecha es obligatoria")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("La fecha debe tener el formato YYYY-MM-DD"),
+  
+  handleValidationErrors
+];
+
+// Validación del token de la URL del calendario
+export const validateCalendarFeedToken = [
+  param("token")
+    .matches(/^[a-f0-9]{48}$/)
+    .withMessage("Token de calendario no válido"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para festivos y cierres
+export const validateClosure = [
+  body("date")
+    .notEmpty()
+    .withMessage("La fecha es obligatoria")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("La fecha debe tener el formato YYYY-MM-DD"),
+  
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("El nombre es obligatorio")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("type")
+    .optional()
+    .isIn(["Festivo", "Cierre"])
+    .withMessage("Tipo de cierre no válido"),
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar festivos y cierres
+export const validateClosureUpdate = [
+  body("date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("La fecha debe tener el formato YYYY-MM-DD"),
+  
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("type")
+    .optional()
+    .isIn(["Festivo", "Cierre"])
+    .withMessage("Tipo de cierre no válido"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para el catálogo de servicios
+export const validateService = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("El nombre es obligatorio")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("La descripción no puede exceder 500 caracteres"),
+  
+  body("basePrice")
+    .isFloat({ min: 0 })
+    .withMessage("El precio base debe ser un número positivo"),
+  
+  body("estimatedDuration")
+    .isInt({ min: 15, max: 600 })
+    .withMessage("La duración estimada debe ser un número entre 15 y 600 minutos"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar servicio (campos opcionales)
+export const validateServiceUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("La descripción no puede exceder 500 caracteres"),
+  
+  body("basePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("El precio base debe ser un número positivo"),
+  
+  body("estimatedDuration")
+    .optional()
+    .isInt({ min: 15, max: 600 })
+    .withMessage("La duración estimada debe ser un número entre 15 y 600 minutos"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para repuestos del inventario
+export const validatePart = [
+  body("sku")
+    .trim()
+    .notEmpty()
+    .withMessage("El SKU es obligatorio")
+    .isLength({ max: 50 })
+    .withMessage("El SKU no puede exceder 50 caracteres"),
+  
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("El nombre es obligatorio")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("La descripción no puede exceder 500 caracteres"),
+  
+  body("stock")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El stock inicial debe ser un número entero positivo")
+    .toInt(),
+  
+  body("cost")
+    .isFloat({ min: 0 })
+    .withMessage("El costo debe ser un número positivo"),
+  
+  body("reorderThreshold")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El umbral de reabastecimiento debe ser un número entero positivo"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar repuesto (campos opcionales)
+export const validatePartUpdate = [
+  body("sku")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("El SKU no puede estar vacío")
+    .isLength({ max: 50 })
+    .withMessage("El SKU no puede exceder 50 caracteres"),
+  
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("El nombre debe tener entre 2 y 100 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("La descripción no puede exceder 500 caracteres"),
+  
+  body("cost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("El costo debe ser un número positivo"),
+  
+  body("reorderThreshold")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("El umbral de reabastecimiento debe ser un número entero positivo"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
+// Validación para registrar un movimiento de inventario
+export const validateStockMovement = [
+  body("type")
+    .isIn(STOCK_MOVEMENT_TYPES)
+    .withMessage(`El tipo de movimiento debe ser uno de: ${STOCK_MOVEMENT_TYPES.join(", ")}`),
+  
+  // Los ajustes pueden ser negativos; las entradas y salidas son siempre positivas
+  body("quantity")
+    .isInt()
+    .withMessage("La cantidad debe ser un número entero")
+    .toInt()
+    .custom((quantity, { req }) => (req.body.type === "Ajuste" ? quantity !== 0 : quantity > 0))
+    .withMessage("La cantidad debe ser mayor a 0 (distinta de 0 en ajustes)"),
+  
+  body("reason")
+    .if(body("type").equals("Ajuste"))
+    .trim()
+    .notEmpty()
+    .withMessage("El motivo es obligatorio en los ajustes"),
+  
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("El motivo no puede exceder 500 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Reglas para los ítems de cotizaciones y facturas
+const lineItemRules = [
+  body("items.*.type")
+    .isIn(LINE_ITEM_TYPES)
+    .withMessage(`El tipo de ítem debe ser uno de: ${LINE_ITEM_TYPES.join(", ")}`),
+  
+  body("items.*.description")
+    .trim()
+    .notEmpty()
+    .withMessage("La descripción del ítem es obligatoria")
+    .isLength({ max: 200 })
+    .withMessage("La descripción no puede exceder 200 caracteres"),
+  
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("La cantidad debe ser mayor que 0")
+    .toFloat(),
+  
+  body("items.*.unitPrice")
+    .isFloat({ min: 0 })
+    .withMessage("El precio unitario debe ser un número positivo")
+    .toFloat(),
+  
+  body("taxRate")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("La tasa de impuesto debe estar entre 0 y 1")
+    .toFloat(),
+  
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Las notas no pueden exceder 500 caracteres")
+];
+
+// Validaciones para cotizaciones
+export const validateQuote = [
+  body("reservationId")
+    .isMongoId()
+    .withMessage("ID de reserva no válido"),
+  
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("La cotización debe tener al menos un ítem"),
+  
+  ...lineItemRules,
+  
+  body("validUntil")
+    .optional()
+    .isISO8601()
+    .withMessage("La fecha de validez debe ser una fecha válida"),
+  
+  handleValidationErrors
+];
+
+// Validación para rechazar una cotización
+export const validateRejectQuote = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("El motivo no puede exceder 500 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para facturas
+export const validateInvoice = [
+  body("reservationId")
+    .isMongoId()
+    .withMessage("ID de reserva no válido"),
+  
+  body("items")
+    .optional()
+    .isArray()
+    .withMessage("Los ítems deben ser una lista"),
+  
+  ...lineItemRules,
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar factura (campos opcionales)
+export const validateInvoiceUpdate = [
+  body("items")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("La factura debe tener al menos un ítem"),
+  
+  ...lineItemRules,
+  
+  handleValidationErrors
+];
+
+// Validación para anular una factura
+export const validateVoidInvoice = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("El motivo de anulación es obligatorio")
+    .isLength({ max: 500 })
+    .withMessage("El motivo no puede exceder 500 caracteres"),
+  
+  handleValidationErrors
+];
+
+// Validaciones para webhooks
+export const validateWebhook = [
+  body("url")
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+    .withMessage("La URL debe ser una dirección http o https válida"),
+  
+  body("events")
+    .isArray({ min: 1 })
+    .withMessage("El webhook debe suscribirse al menos a un evento"),
+  
+  body("events.*")
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Los eventos deben ser uno de: ${WEBHOOK_EVENTS.join(", ")}`),
+  
+  body("secret")
+    .optional()
+    .isLength({ min: 16, max: 200 })
+    .withMessage("El secreto debe tener entre 16 y 200 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("La descripción no puede exceder 200 caracteres"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
+// Validación para actualizar webhook (campos opcionales)
+export const validateWebhookUpdate = [
+  body("url")
+    .optional()
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+    .withMessage("La URL debe ser una dirección http o https válida"),
+  
+  body("events")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("El webhook debe suscribirse al menos a un evento"),
+  
+  body("events.*")
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Los eventos deben ser uno de: ${WEBHOOK_EVENTS.join(", ")}`),
+  
+  body("secret")
+    .optional()
+    .isLength({ min: 16, max: 200 })
+    .withMessage("El secreto debe tener entre 16 y 200 caracteres"),
+  
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("La descripción no puede exceder 200 caracteres"),
+  
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("El campo active debe ser verdadero o falso"),
+  
+  handleValidationErrors
+];
+
 // Validación para parámetros ID
 export const validateId = [
   param("id")
@@ -202,6 +989,24 @@ export const validateId = [
   handleValidationErrors
 ];
 
+// Validación para el parámetro clientId
+export const validateClientIdParam = [
+  param("clientId")
+    .isMongoId()
+    .withMessage("ID de cliente no válido"),
+  
+  handleValidationErrors
+];
+
+// Validación para el parámetro vehicleId
+export const validateVehicleIdParam = [
+  param("vehicleId")
+    .isMongoId()
+    .withMessage("ID de vehículo no válido"),
+  
+  handleValidationErrors
+];
+
 // Validación para verificar que el email no esté en uso
 export const checkEmailUnique = async (req, res, next) => {
   try {
@@ -1,5 +1,8 @@
 import { Schema, model } from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLES } from "../permissions.js";
+import { createAccountToken } from "../utils/accountTokens.js";
+import { config } from "../config.js";
 
 const clientSchema = new Schema(
   {
@@ -40,6 +43,54 @@ const clientSchema = new Schema(
       required: [true, "La edad es obligatoria"],
       min: [18, "La edad mínima es 18 años"],
       max: [120, "La edad máxima es 120 años"]
+    },
+    role: {
+      type: String,
+      enum: {
+        values: Object.values(ROLES),
+        message: "Rol no válido"
+      },
+      default: ROLES.CLIENT
+    },
+    // Reservas a las que el cliente no se presentó
+    noShowCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    // Hash del token para verificar el email y su vencimiento
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    // Hash del token para restablecer la contraseña y su vencimiento
+    passwordResetToken: {
+      type: String,
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
+    },
+    // Fecha del último cambio de contraseña; las sesiones iniciadas antes dejan de ser válidas
+    passwordChangedAt: {
+      type: Date,
+      select: false
+    },
+    // Token de la URL privada del calendario (.ics) del usuario
+    calendarToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false
     }
   },
   {
@@ -55,21 +106,69 @@ clientSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// insertMany no ejecuta el middleware de save, así que las contraseñas importadas se hashean aquí
+clientSchema.pre("insertMany", async function (next, docs) {
+  try {
+    for (const doc of docs) {
+      const salt = await bcrypt.genSalt(10);
+      doc.password = await bcrypt.hash(doc.password, salt);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Método para generar el token de verificación del email
+// Devuelve el token en claro para el enlace del correo; en el cliente solo queda su hash
+clientSchema.methods.createEmailVerificationToken = function () {
+  const { token, hash, expiresAt } = createAccountToken(config.accounts.emailVerificationTtl * 60);
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = expiresAt;
+  return token;
+};
+
+// Método para generar el token para restablecer la contraseña
+clientSchema.methods.createPasswordResetToken = function () {
+  const { token, hash, expiresAt } = createAccountToken(config.accounts.passwordResetTtl);
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = expiresAt;
+  return token;
+};
+
+// Método para saber si la contraseña cambió después de emitir un token JWT
+// iat viene en segundos, así que se compara con la fecha del cambio redondeada a segundos
+clientSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 // Método para comparar contraseñas
 clientSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Método para obtener el cliente sin la contraseña
+// Método para obtener el cliente sin la contraseña ni sus tokens
 clientSchema.methods.toJSON = function () {
   const client = this.toObject();
   delete client.password;
+  delete client.calendarToken;
+  delete client.emailVerificationToken;
+  delete client.emailVerificationExpires;
+  delete client.passwordResetToken;
+  delete client.passwordResetExpires;
+  delete client.passwordChangedAt;
   return client;
 };
 
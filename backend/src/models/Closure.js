@@ -0,0 +1,33 @@
+import { Schema, model } from "mongoose";
+
+const closureSchema = new Schema(
+  {
+    date: {
+      type: String,
+      required: [true, "La fecha es obligatoria"],
+      unique: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "La fecha debe tener el formato YYYY-MM-DD"]
+    },
+    name: {
+      type: String,
+      required: [true, "El nombre es obligatorio"],
+      trim: true,
+      minlength: [2, "El nombre debe tener al menos 2 caracteres"],
+      maxlength: [100, "El nombre no puede exceder 100 caracteres"]
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ["Festivo", "Cierre"],
+        message: "Tipo de cierre no válido"
+      },
+      default: "Festivo"
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+export default model("Closure", closureSchema);
@@ -0,0 +1,30 @@
+import { Schema, model } from "mongoose";
+
+// Contadores para generar números consecutivos (ej. facturas)
+const counterSchema = new Schema(
+  {
+    _id: {
+      type: String,
+      required: true
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// Método para obtener el siguiente número de un contador de forma atómica
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export default model("Counter", counterSchema);
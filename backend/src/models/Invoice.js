@@ -0,0 +1,125 @@
+import { Schema, model } from "mongoose";
+import { lineItemSchema } from "./lineItem.js";
+import { calculateTotals } from "../utils/billing.js";
+import { config } from "../config.js";
+
+// Estados posibles de una factura
+export const INVOICE_STATUSES = ["Borrador", "Emitida", "Pagada", "Anulada"];
+
+// Transiciones de estado permitidas
+export const INVOICE_TRANSITIONS = {
+  "Borrador": ["Emitida", "Anulada"],
+  "Emitida": ["Pagada", "Anulada"],
+  "Pagada": [],
+  "Anulada": []
+};
+
+const invoiceSchema = new Schema(
+  {
+    // Número consecutivo asignado al emitir la factura
+    number: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    reservationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Reservation",
+      required: [true, "El ID de la reserva es obligatorio"]
+    },
+    clientId: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "El ID del cliente es obligatorio"]
+    },
+    items: {
+      type: [lineItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "La factura debe tener al menos un ítem"
+      }
+    },
+    taxRate: {
+      type: Number,
+      min: [0, "La tasa de impuesto no puede ser negativa"],
+      max: [1, "La tasa de impuesto no puede ser mayor a 1"],
+      default: () => config.billing.taxRate
+    },
+    subtotal: {
+      type: Number
+    },
+    tax: {
+      type: Number
+    },
+    total: {
+      type: Number
+    },
+    status: {
+      type: String,
+      enum: {
+        values: INVOICE_STATUSES,
+        message: "Estado no válido"
+      },
+      default: "Borrador"
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Las notas no pueden exceder 500 caracteres"]
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "El motivo no puede exceder 500 caracteres"]
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
+    issuedAt: Date,
+    paidAt: Date,
+    voidedAt: Date
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para optimizar consultas por cliente
+invoiceSchema.index({ clientId: 1 });
+
+// Una reserva solo puede tener una factura que no esté anulada
+// $in en partialFilterExpression requiere MongoDB 6.0 o superior
+invoiceSchema.index(
+  { reservationId: 1 },
+  {
+    name: "reservationId_active_unique",
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: INVOICE_STATUSES.filter((status) => status !== "Anulada") }
+    }
+  }
+);
+
+// Calcular los totales antes de validar
+invoiceSchema.pre("validate", function (next) {
+  if (this.isModified("items") || this.isModified("taxRate") || this.isNew) {
+    Object.assign(this, calculateTotals(this.items, this.taxRate));
+  }
+  next();
+});
+
+// Método para cambiar el estado respetando las transiciones permitidas
+invoiceSchema.methods.changeStatus = function (newStatus) {
+  if (!INVOICE_TRANSITIONS[this.status].includes(newStatus)) {
+    const error = new Error(
+      `No se puede cambiar el estado de la factura de "${this.status}" a "${newStatus}"`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+  this.status = newStatus;
+};
+
+export default model("Invoice", invoiceSchema);
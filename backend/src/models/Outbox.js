@@ -0,0 +1,83 @@
+import { Schema, model } from "mongoose";
+
+// Estados de un mensaje de la bandeja de salida
+export const OUTBOX_STATUSES = ["Pendiente", "Enviando", "Enviado", "Fallido"];
+
+// Mensajes por enviar; el trabajo de la bandeja de salida los envía y reintenta si fallan
+const outboxSchema = new Schema(
+  {
+    // Evento que originó el mensaje
+    event: {
+      type: String,
+      required: [true, "El evento es obligatorio"]
+    },
+    to: {
+      type: String,
+      required: [true, "El destinatario es obligatorio"],
+      trim: true,
+      lowercase: true
+    },
+    subject: {
+      type: String,
+      required: [true, "El asunto es obligatorio"]
+    },
+    text: {
+      type: String,
+      required: [true, "El contenido es obligatorio"]
+    },
+    html: {
+      type: String
+    },
+    // Archivos adjuntos, por ejemplo la reserva como evento de calendario
+    attachments: {
+      type: [
+        {
+          _id: false,
+          filename: String,
+          content: String,
+          contentType: String
+        }
+      ],
+      default: undefined
+    },
+    reservationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Reservation"
+    },
+    // El contenido incluye un enlace con un token de la cuenta y se borra al terminar los intentos de envío
+    sensitive: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: {
+        values: OUTBOX_STATUSES,
+        message: "Estado no válido"
+      },
+      default: "Pendiente"
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Fecha a partir de la cual puede intentarse el envío
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Fecha en la que un proceso tomó el mensaje para enviarlo
+    lockedAt: Date,
+    lastError: String,
+    sentAt: Date
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para buscar los mensajes listos para enviar
+outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default model("Outbox", outboxSchema);
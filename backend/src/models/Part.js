@@ -0,0 +1,53 @@
+import { Schema, model } from "mongoose";
+
+const partSchema = new Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "El SKU es obligatorio"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "El SKU no puede exceder 50 caracteres"]
+    },
+    name: {
+      type: String,
+      required: [true, "El nombre es obligatorio"],
+      trim: true,
+      minlength: [2, "El nombre debe tener al menos 2 caracteres"],
+      maxlength: [100, "El nombre no puede exceder 100 caracteres"]
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "La descripción no puede exceder 500 caracteres"]
+    },
+    // Unidades disponibles; solo cambia mediante movimientos de inventario
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, "El stock no puede ser negativo"]
+    },
+    cost: {
+      type: Number,
+      required: [true, "El costo es obligatorio"],
+      min: [0, "El costo no puede ser negativo"]
+    },
+    // Stock mínimo a partir del cual el repuesto debe reabastecerse
+    reorderThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, "El umbral de reabastecimiento no puede ser negativo"]
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+export default model("Part", partSchema);
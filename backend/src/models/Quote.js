@@ -0,0 +1,91 @@
+import { Schema, model } from "mongoose";
+import { lineItemSchema } from "./lineItem.js";
+import { calculateTotals } from "../utils/billing.js";
+import { config } from "../config.js";
+
+// Estados posibles de una cotización
+export const QUOTE_STATUSES = ["Pendiente", "Aprobada", "Rechazada"];
+
+const quoteSchema = new Schema(
+  {
+    reservationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Reservation",
+      required: [true, "El ID de la reserva es obligatorio"]
+    },
+    clientId: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "El ID del cliente es obligatorio"]
+    },
+    items: {
+      type: [lineItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "La cotización debe tener al menos un ítem"
+      }
+    },
+    taxRate: {
+      type: Number,
+      min: [0, "La tasa de impuesto no puede ser negativa"],
+      max: [1, "La tasa de impuesto no puede ser mayor a 1"],
+      default: () => config.billing.taxRate
+    },
+    subtotal: {
+      type: Number
+    },
+    tax: {
+      type: Number
+    },
+    total: {
+      type: Number
+    },
+    status: {
+      type: String,
+      enum: {
+        values: QUOTE_STATUSES,
+        message: "Estado no válido"
+      },
+      default: "Pendiente"
+    },
+    validUntil: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Las notas no pueden exceder 500 caracteres"]
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "El motivo no puede exceder 500 caracteres"]
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
+    respondedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
+    respondedAt: Date
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para optimizar consultas por reserva
+quoteSchema.index({ reservationId: 1 });
+
+// Calcular los totales antes de validar
+quoteSchema.pre("validate", function (next) {
+  if (this.isModified("items") || this.isModified("taxRate") || this.isNew) {
+    Object.assign(this, calculateTotals(this.items, this.taxRate));
+  }
+  next();
+});
+
+export default model("Quote", quoteSchema);
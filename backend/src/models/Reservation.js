@@ -1,4 +1,115 @@
 import { Schema, model } from "mongoose";
+import { getEndDate } from "../utils/scheduling.js";
+
+// Estados posibles de una reserva
+export const RESERVATION_STATUSES = ["Pendiente", "En proceso", "Completado", "Cancelado", "No presentado"];
+
+// Transiciones de estado permitidas
+export const STATUS_TRANSITIONS = {
+  "Pendiente": ["En proceso", "Cancelado", "No presentado"],
+  "En proceso": ["Completado", "Cancelado"],
+  "Completado": [],
+  "Cancelado": [],
+  "No presentado": []
+};
+
+// Registro de un cambio de estado
+const statusChangeSchema = new Schema(
+  {
+    previousStatus: {
+      type: String,
+      enum: [...RESERVATION_STATUSES, null],
+      default: null
+    },
+    newStatus: {
+      type: String,
+      required: true,
+      enum: RESERVATION_STATUSES
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "El motivo no puede exceder 500 caracteres"]
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// Repuesto utilizado en un servicio
+const partUsedSchema = new Schema(
+  {
+    // Repuesto del inventario, si el repuesto está registrado
+    partId: {
+      type: Schema.Types.ObjectId,
+      ref: "Part"
+    },
+    name: {
+      type: String,
+      required: [true, "El nombre del repuesto es obligatorio"],
+      trim: true,
+      maxlength: [100, "El nombre del repuesto no puede exceder 100 caracteres"]
+    },
+    partNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, "El número de parte no puede exceder 50 caracteres"]
+    },
+    quantity: {
+      type: Number,
+      required: [true, "La cantidad es obligatoria"],
+      min: [1, "La cantidad mínima es 1"]
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// Trabajo realizado al completar la reserva
+const completionSchema = new Schema(
+  {
+    workPerformed: {
+      type: String,
+      required: [true, "El trabajo realizado es obligatorio"],
+      trim: true,
+      maxlength: [2000, "El trabajo realizado no puede exceder 2000 caracteres"]
+    },
+    partsUsed: {
+      type: [partUsedSchema],
+      default: []
+    },
+    mileage: {
+      type: Number,
+      min: [0, "El kilometraje no puede ser negativo"]
+    },
+    technicianNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Las notas del técnico no pueden exceder 1000 caracteres"]
+    },
+    completedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    _id: false
+  }
+);
 
 const reservationSchema = new Schema(
   {
@@ -7,6 +118,11 @@ const reservationSchema = new Schema(
       ref: "Client",
       required: [true, "El ID del cliente es obligatorio"]
     },
+    vehicleId: {
+      type: Schema.Types.ObjectId,
+      ref: "Vehicle"
+    },
+    // Descripción del vehículo; si hay un vehículo registrado se toma de él
     vehicle: {
       type: String,
       required: [true, "El vehículo es obligatorio"],
@@ -14,30 +130,17 @@ const reservationSchema = new Schema(
       minlength: [2, "El vehículo debe tener al menos 2 caracteres"],
       maxlength: [100, "El vehículo no puede exceder 100 caracteres"]
     },
+    // Nombre de un servicio del catálogo
     service: {
       type: String,
       required: [true, "El servicio es obligatorio"],
-      trim: true,
-      enum: {
-        values: [
-          "Mantenimiento preventivo",
-          "Cambio de aceite",
-          "Revisión de frenos",
-          "Alineación y balanceo",
-          "Revisión de motor",
-          "Cambio de llantas",
-          "Revisión eléctrica",
-          "Diagnóstico general",
-          "Otros"
-        ],
-        message: "Servicio no válido"
-      }
+      trim: true
     },
     status: {
       type: String,
       required: true,
       enum: {
-        values: ["Pendiente", "En proceso", "Completado", "Cancelado"],
+        values: RESERVATION_STATUSES,
         message: "Estado no válido"
       },
       default: "Pendiente"
@@ -47,15 +150,44 @@ const reservationSchema = new Schema(
       required: [true, "La fecha programada es obligatoria"],
       validate: {
         validator: function(date) {
+          // Las reservas existentes pueden guardarse aunque su fecha ya haya pasado
+          if (typeof this.isModified === "function" && !this.isNew && !this.isModified("scheduledDate")) {
+            return true;
+          }
           return date > new Date();
         },
         message: "La fecha programada debe ser en el futuro"
       }
     },
+    endDate: {
+      type: Date
+    },
+    // Versión del evento de calendario (.ics); aumenta al reprogramar, cancelar o marcar la inasistencia
+    icsSequence: {
+      type: Number,
+      default: 0
+    },
+    // Recordatorios ya enviados, en horas antes de la fecha programada
+    remindersSent: {
+      type: [Number],
+      default: []
+    },
+    // Mecánico asignado al trabajo
+    assignedTo: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    },
     notes: {
       type: String,
       maxlength: [500, "Las notas no pueden exceder 500 caracteres"],
       trim: true
+    },
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: []
+    },
+    completion: {
+      type: completionSchema
     }
   },
   {
@@ -67,6 +199,45 @@ const reservationSchema = new Schema(
 // Índice para optimizar consultas por cliente
 reservationSchema.index({ clientId: 1 });
 
+// Índice para optimizar la búsqueda de reservas que se cruzan en el tiempo
+reservationSchema.index({ scheduledDate: 1, endDate: 1 });
+
+// Índice para optimizar la agenda de cada técnico
+reservationSchema.index({ assignedTo: 1, scheduledDate: 1 });
+
+// Calcular la fecha de finalización según la duración del servicio
+reservationSchema.pre("validate", async function () {
+  if (this.scheduledDate && (!this.endDate || this.isModified("scheduledDate") || this.isModified("service"))) {
+    this.endDate = await getEndDate(this.scheduledDate, this.service);
+  }
+
+  // Al reprogramar, los recordatorios deben enviarse de nuevo para la nueva fecha
+  if (!this.isNew && this.isModified("scheduledDate")) {
+    this.remindersSent = [];
+  }
+
+  // Las aplicaciones de calendario solo reemplazan el evento si la secuencia aumenta
+  if (!this.isNew && (this.isModified("scheduledDate") || (this.isModified("status") && this.status === "Cancelado"))) {
+    this.icsSequence += 1;
+  }
+});
+
+// Método para cambiar el estado respetando las transiciones permitidas
+reservationSchema.methods.changeStatus = function (newStatus, changedBy, reason) {
+  const previousStatus = this.status;
+
+  if (!STATUS_TRANSITIONS[previousStatus].includes(newStatus)) {
+    const error = new Error(
+      `No se puede cambiar el estado de "${previousStatus}" a "${newStatus}"`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ previousStatus, newStatus, changedBy, reason });
+};
+
 // Middleware para validar que el cliente existe
 reservationSchema.pre("save", async function (next) {
   if (this.isNew || this.isModified("clientId")) {
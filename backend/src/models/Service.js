@@ -0,0 +1,62 @@
+import { Schema, model } from "mongoose";
+
+// Servicios con los que se inicializa el catálogo
+export const DEFAULT_SERVICES = [
+  { name: "Mantenimiento preventivo", basePrice: 250000, estimatedDuration: 120 },
+  { name: "Cambio de aceite", basePrice: 120000, estimatedDuration: 30 },
+  { name: "Revisión de frenos", basePrice: 90000, estimatedDuration: 60 },
+  { name: "Alineación y balanceo", basePrice: 80000, estimatedDuration: 60 },
+  { name: "Revisión de motor", basePrice: 200000, estimatedDuration: 180 },
+  { name: "Cambio de llantas", basePrice: 60000, estimatedDuration: 60 },
+  { name: "Revisión eléctrica", basePrice: 100000, estimatedDuration: 90 },
+  { name: "Diagnóstico general", basePrice: 70000, estimatedDuration: 60 },
+  { name: "Otros", basePrice: 0, estimatedDuration: 60 }
+];
+
+const serviceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "El nombre es obligatorio"],
+      unique: true,
+      trim: true,
+      minlength: [2, "El nombre debe tener al menos 2 caracteres"],
+      maxlength: [100, "El nombre no puede exceder 100 caracteres"]
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "La descripción no puede exceder 500 caracteres"]
+    },
+    basePrice: {
+      type: Number,
+      required: [true, "El precio base es obligatorio"],
+      min: [0, "El precio base no puede ser negativo"]
+    },
+    // Duración estimada en minutos
+    estimatedDuration: {
+      type: Number,
+      required: [true, "La duración estimada es obligatoria"],
+      min: [15, "La duración mínima es 15 minutos"],
+      max: [600, "La duración máxima es 600 minutos"]
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Método para crear el catálogo inicial si está vacío
+serviceSchema.statics.seedDefaults = async function () {
+  const count = await this.countDocuments();
+  if (count === 0) {
+    await this.insertMany(DEFAULT_SERVICES);
+  }
+};
+
+export default model("Service", serviceSchema);
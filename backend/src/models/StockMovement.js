@@ -0,0 +1,54 @@
+import { Schema, model } from "mongoose";
+
+// Tipos de movimiento de inventario
+export const STOCK_MOVEMENT_TYPES = ["Entrada", "Salida", "Ajuste"];
+
+const stockMovementSchema = new Schema(
+  {
+    partId: {
+      type: Schema.Types.ObjectId,
+      ref: "Part",
+      required: [true, "El ID del repuesto es obligatorio"]
+    },
+    type: {
+      type: String,
+      required: [true, "El tipo de movimiento es obligatorio"],
+      enum: {
+        values: STOCK_MOVEMENT_TYPES,
+        message: "Tipo de movimiento no válido"
+      }
+    },
+    // Variación del stock: positiva en entradas y negativa en salidas
+    quantity: {
+      type: Number,
+      required: [true, "La cantidad es obligatoria"]
+    },
+    // Stock del repuesto después del movimiento
+    stockAfter: {
+      type: Number
+    },
+    // Reserva en la que se consumió el repuesto
+    reservationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Reservation"
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "El motivo no puede exceder 500 caracteres"]
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para optimizar el historial de movimientos de un repuesto
+stockMovementSchema.index({ partId: 1, createdAt: -1 });
+
+export default model("StockMovement", stockMovementSchema);
@@ -0,0 +1,64 @@
+import { Schema, model } from "mongoose";
+
+const vehicleSchema = new Schema(
+  {
+    clientId: {
+      type: Schema.Types.ObjectId,
+      ref: "Client",
+      required: [true, "El ID del cliente es obligatorio"]
+    },
+    // La placa es opcional solo para los vehículos migrados desde reservas antiguas
+    plate: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9-]{4,10}$/, "Por favor ingrese una placa válida"]
+    },
+    make: {
+      type: String,
+      required: [true, "La marca es obligatoria"],
+      trim: true,
+      maxlength: [50, "La marca no puede exceder 50 caracteres"]
+    },
+    model: {
+      type: String,
+      required: [true, "El modelo es obligatorio"],
+      trim: true,
+      maxlength: [50, "El modelo no puede exceder 50 caracteres"]
+    },
+    year: {
+      type: Number,
+      min: [1900, "El año mínimo es 1900"],
+      max: [new Date().getFullYear() + 1, "El año no es válido"]
+    },
+    vin: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-HJ-NPR-Z0-9]{17}$/, "Por favor ingrese un VIN válido"]
+    },
+    mileage: {
+      type: Number,
+      min: [0, "El kilometraje no puede ser negativo"]
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para optimizar consultas por cliente
+vehicleSchema.index({ clientId: 1 });
+
+// Método para obtener la descripción del vehículo usada en las reservas
+vehicleSchema.methods.getDescription = function () {
+  const parts = [this.make, this.model, this.year].filter(Boolean).join(" ");
+  return this.plate ? `${parts} (${this.plate})` : parts;
+};
+
+export default model("Vehicle", vehicleSchema);
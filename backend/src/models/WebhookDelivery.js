@@ -0,0 +1,59 @@
+import { Schema, model } from "mongoose";
+
+// Estados de una entrega de webhook
+export const WEBHOOK_DELIVERY_STATUSES = ["Pendiente", "Enviando", "Entregado", "Fallido"];
+
+// Registro de las entregas de un webhook; el trabajo de webhooks las envía y reintenta si fallan
+const webhookDeliverySchema = new Schema(
+  {
+    subscriptionId: {
+      type: Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: [true, "El ID del webhook es obligatorio"]
+    },
+    event: {
+      type: String,
+      required: [true, "El evento es obligatorio"]
+    },
+    // Datos del evento que se envían en el cuerpo de la petición
+    payload: {
+      type: Schema.Types.Mixed,
+      required: [true, "El contenido es obligatorio"]
+    },
+    status: {
+      type: String,
+      enum: {
+        values: WEBHOOK_DELIVERY_STATUSES,
+        message: "Estado no válido"
+      },
+      default: "Pendiente"
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Fecha a partir de la cual puede intentarse la entrega
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Fecha en la que un proceso tomó la entrega para enviarla
+    lockedAt: Date,
+    // Código HTTP y cuerpo (recortado) de la última respuesta del receptor
+    responseStatus: Number,
+    responseBody: String,
+    lastError: String,
+    deliveredAt: Date
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para buscar las entregas listas para enviar
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Índice para el historial de entregas de un webhook
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+export default model("WebhookDelivery", webhookDeliverySchema);
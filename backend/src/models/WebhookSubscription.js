@@ -0,0 +1,61 @@
+import { Schema, model } from "mongoose";
+import { randomBytes } from "crypto";
+import { RESERVATION_EVENTS, CLIENT_EVENTS } from "../events.js";
+
+// Eventos a los que puede suscribirse un webhook
+export const WEBHOOK_EVENTS = [...Object.values(RESERVATION_EVENTS), ...Object.values(CLIENT_EVENTS)];
+
+// Evento de prueba que se envía a demanda para verificar un webhook
+export const WEBHOOK_PING_EVENT = "webhook.ping";
+
+const webhookSubscriptionSchema = new Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "La URL es obligatoria"],
+      trim: true,
+      match: [/^https?:\/\/\S+$/, "La URL debe comenzar con http:// o https://"]
+    },
+    // Secreto con el que se firman las entregas (HMAC-SHA256)
+    // Solo se muestra al crear el webhook o al cambiarlo
+    secret: {
+      type: String,
+      required: [true, "El secreto es obligatorio"],
+      default: () => randomBytes(32).toString("hex"),
+      select: false
+    },
+    events: {
+      type: [String],
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: "Evento no válido"
+      },
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "El webhook debe suscribirse al menos a un evento"
+      }
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "La descripción no puede exceder 200 caracteres"]
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Client"
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+// Índice para buscar las suscripciones activas de un evento
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+export default model("WebhookSubscription", webhookSubscriptionSchema);
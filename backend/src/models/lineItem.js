@@ -0,0 +1,40 @@
+import { Schema } from "mongoose";
+
+// Tipos de ítem de cotizaciones y facturas
+export const LINE_ITEM_TYPES = ["Mano de obra", "Repuesto"];
+
+// Ítem de una cotización o factura
+export const lineItemSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "El tipo de ítem es obligatorio"],
+      enum: {
+        values: LINE_ITEM_TYPES,
+        message: "Tipo de ítem no válido"
+      }
+    },
+    description: {
+      type: String,
+      required: [true, "La descripción es obligatoria"],
+      trim: true,
+      maxlength: [200, "La descripción no puede exceder 200 caracteres"]
+    },
+    quantity: {
+      type: Number,
+      required: [true, "La cantidad es obligatoria"],
+      min: [0.01, "La cantidad debe ser mayor a 0"]
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, "El precio unitario es obligatorio"],
+      min: [0, "El precio unitario no puede ser negativo"]
+    },
+    total: {
+      type: Number
+    }
+  },
+  {
+    _id: false
+  }
+);
@@ -0,0 +1,78 @@
+import Outbox from "../models/Outbox.js";
+import { RESERVATION_EVENTS, events } from "../events.js";
+import { templates, accountTemplates } from "./templates.js";
+import { buildCalendar, ICS_CONTENT_TYPE } from "../utils/ical.js";
+
+// Eventos cuyo correo incluye la reserva como evento de calendario (.ics)
+const CALENDAR_EVENTS = [
+  RESERVATION_EVENTS.CREATED,
+  RESERVATION_EVENTS.RESCHEDULED,
+  RESERVATION_EVENTS.CANCELLED,
+  RESERVATION_EVENTS.DELETED
+];
+
+// Adjuntar la reserva como evento de calendario para agregarla o actualizarla en la aplicación del cliente
+// Una reserva eliminada se envía como cancelada para que el evento desaparezca del calendario
+const buildCalendarAttachment = (type, reservation) => {
+  const event = type === RESERVATION_EVENTS.DELETED
+    ? { ...reservation, status: "Cancelado", icsSequence: (reservation.icsSequence || 0) + 1 }
+    : reservation;
+
+  return {
+    filename: "reserva.ics",
+    content: buildCalendar([event]),
+    contentType: ICS_CONTENT_TYPE
+  };
+};
+
+// Guardar en la bandeja de salida el correo de un evento de reserva
+const enqueueReservationEmail = async ({ type, reservation }) => {
+  const email = reservation.clientId?.email;
+  if (!email) {
+    return;
+  }
+
+  const message = templates[type](reservation);
+  if (!message) {
+    return;
+  }
+
+  const { subject, text, html } = message;
+  await Outbox.create({
+    event: type,
+    to: email,
+    subject,
+    text,
+    html,
+    attachments: CALENDAR_EVENTS.includes(type) ? [buildCalendarAttachment(type, reservation)] : undefined,
+    reservationId: reservation._id
+  });
+};
+
+// Guardar en la bandeja de salida un correo de la cuenta (verificación del email, recuperación de la contraseña)
+// Estos correos no pasan por el bus de eventos para que el enlace con el token no llegue a otros suscriptores, como los webhooks
+// Se marcan como sensibles para que el enlace no quede guardado después del envío
+export const enqueueAccountEmail = async (type, client, link) => {
+  const { subject, text, html } = accountTemplates[type](client, link);
+  await Outbox.create({
+    event: type,
+    to: client.email,
+    subject,
+    text,
+    html,
+    sensitive: true
+  });
+};
+
+// Suscribir las notificaciones por correo a los eventos que tienen plantilla
+export const registerNotifications = () => {
+  Object.keys(templates).forEach((type) => {
+    events.on(type, async (payload) => {
+      try {
+        await enqueueReservationEmail(payload);
+      } catch (error) {
+        console.log("Error queuing notification:", error);
+      }
+    });
+  });
+};
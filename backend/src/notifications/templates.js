@@ -0,0 +1,156 @@
+import { RESERVATION_EVENTS } from "../events.js";
+import { formatDate } from "../utils/format.js";
+import { config } from "../config.js";
+
+// Escapar el texto que se inserta en el HTML del correo
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;"
+  })[char]);
+
+// Motivo del último cambio a un estado
+const lastReason = (reservation, status) =>
+  reservation.statusHistory?.filter((change) => change.newStatus === status).pop()?.reason;
+
+// Construir el correo con un saludo, un párrafo de introducción y los datos de la reserva
+const buildEmail = (subject, reservation, intro, extraLines = []) => {
+  const client = reservation.clientId || {};
+  const lines = [
+    ["Servicio", reservation.service],
+    ["Vehículo", reservation.vehicle],
+    ["Fecha", formatDate(reservation.scheduledDate)],
+    ...extraLines
+  ].filter(([, value]) => value);
+
+  const text = [
+    `Hola ${client.name},`,
+    "",
+    intro,
+    "",
+    ...lines.map(([label, value]) => `${label}: ${value}`),
+    "",
+    "Gracias por confiar en Part Plus."
+  ].join("\n");
+
+  const html = [
+    `<p>Hola ${escapeHtml(client.name)},</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    "<ul>",
+    ...lines.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`),
+    "</ul>",
+    "<p>Gracias por confiar en Part Plus.</p>"
+  ].join("\n");
+
+  return { subject, text, html };
+};
+
+// Plantillas de correo por evento; los eventos sin plantilla no generan correo
+// Una plantilla puede devolver null si el evento no debe notificarse
+export const templates = {
+  [RESERVATION_EVENTS.CREATED]: (reservation) =>
+    buildEmail(
+      "Confirmación de tu reserva",
+      reservation,
+      "Tu reserva fue registrada exitosamente. Te esperamos en el taller."
+    ),
+
+  [RESERVATION_EVENTS.REMINDER]: (reservation) =>
+    buildEmail(
+      "Recordatorio de tu reserva",
+      reservation,
+      `Te recordamos que tu reserva es el ${formatDate(reservation.scheduledDate)}. Si no puedes asistir, por favor cancélala con anticipación.`
+    ),
+
+  [RESERVATION_EVENTS.RESCHEDULED]: (reservation) =>
+    buildEmail(
+      "Tu reserva fue reprogramada",
+      reservation,
+      "La fecha de tu reserva cambió. Estos son los nuevos datos:"
+    ),
+
+  [RESERVATION_EVENTS.CANCELLED]: (reservation) =>
+    buildEmail(
+      "Tu reserva fue cancelada",
+      reservation,
+      "Tu reserva fue cancelada. Si deseas, puedes agendar una nueva en cualquier momento.",
+      [["Motivo", lastReason(reservation, "Cancelado")]]
+    ),
+
+  // Solo se avisa al cliente si la reserva eliminada seguía activa
+  [RESERVATION_EVENTS.DELETED]: (reservation) =>
+    ["Pendiente", "En proceso"].includes(reservation.status)
+      ? buildEmail(
+          "Tu reserva fue cancelada",
+          reservation,
+          "Tu reserva fue cancelada y eliminada de nuestra agenda. Si deseas, puedes agendar una nueva en cualquier momento."
+        )
+      : null,
+
+  [RESERVATION_EVENTS.NO_SHOW]: (reservation) =>
+    buildEmail(
+      "No registramos tu asistencia",
+      reservation,
+      "Te esperábamos en el taller pero no registramos tu llegada, así que tu reserva fue cerrada. Puedes agendar una nueva en cualquier momento."
+    ),
+
+  [RESERVATION_EVENTS.COMPLETED]: (reservation) =>
+    buildEmail(
+      "Tu vehículo está listo",
+      reservation,
+      "Terminamos el trabajo en tu vehículo. Ya puedes pasar a recogerlo.",
+      [["Trabajo realizado", reservation.completion?.workPerformed]]
+    )
+};
+
+// Correos de la cuenta del cliente
+export const ACCOUNT_EMAILS = {
+  EMAIL_VERIFICATION: "account.email_verification",
+  PASSWORD_RESET: "account.password_reset"
+};
+
+// Construir un correo de la cuenta con un enlace
+const buildAccountEmail = (subject, client, intro, link, outro) => {
+  const text = [
+    `Hola ${client.name},`,
+    "",
+    intro,
+    "",
+    link,
+    "",
+    outro
+  ].join("\n");
+
+  const html = [
+    `<p>Hola ${escapeHtml(client.name)},</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`,
+    `<p>${escapeHtml(outro)}</p>`
+  ].join("\n");
+
+  return { subject, text, html };
+};
+
+// Plantillas de los correos de la cuenta; reciben el cliente y el enlace con el token
+export const accountTemplates = {
+  [ACCOUNT_EMAILS.EMAIL_VERIFICATION]: (client, link) =>
+    buildAccountEmail(
+      "Verifica tu email",
+      client,
+      "Para confirmar que este email es tuyo, abre el siguiente enlace:",
+      link,
+      `El enlace vence en ${config.accounts.emailVerificationTtl} horas. Si no creaste una cuenta en Part Plus, ignora este correo.`
+    ),
+
+  [ACCOUNT_EMAILS.PASSWORD_RESET]: (client, link) =>
+    buildAccountEmail(
+      "Restablece tu contraseña",
+      client,
+      "Recibimos una solicitud para restablecer tu contraseña. Para elegir una nueva, abre el siguiente enlace:",
+      link,
+      `El enlace vence en ${config.accounts.passwordResetTtl} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este correo; tu contraseña no cambiará.`
+    )
+};
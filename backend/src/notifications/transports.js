@@ -0,0 +1,48 @@
+import nodemailer from "nodemailer";
+import { config } from "../config.js";
+
+// Transporte que envía los correos por SMTP
+const createSmtpTransport = () => {
+  const { host, port, secure, user, pass } = config.mail.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail({ from: config.mail.from, ...message })
+  };
+};
+
+// Transporte que solo escribe los correos en consola (desarrollo)
+const createLogTransport = () => ({
+  send: async ({ to, subject }) => {
+    console.log(`Email to ${to}: ${subject}`);
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  log: createLogTransport
+};
+
+let transport = null;
+
+// Obtener el transporte de correo configurado
+export const getTransport = () => {
+  if (!transport) {
+    const createTransport = TRANSPORTS[config.mail.transport];
+    if (!createTransport) {
+      throw new Error(`Transporte de correo no válido: ${config.mail.transport}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Reemplazar el transporte de correo (por ejemplo, para enviar por otro proveedor)
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
@@ -0,0 +1,61 @@
+// Roles disponibles en el sistema
+export const ROLES = {
+  ADMIN: "admin",
+  MECHANIC: "mechanic",
+  CLIENT: "client"
+};
+
+// Matriz de permisos
+// any: roles que pueden realizar la acción sobre cualquier recurso
+// own: si cualquier rol puede realizar la acción sobre sus propios recursos
+export const PERMISSIONS = {
+  "clients:list": { any: [ROLES.ADMIN], own: false },
+  "clients:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "clients:update": { any: [ROLES.ADMIN], own: true },
+  "clients:delete": { any: [ROLES.ADMIN], own: false },
+  "clients:changeRole": { any: [ROLES.ADMIN], own: false },
+  // Reiniciar el contador de inasistencias de un cliente
+  "clients:resetNoShows": { any: [ROLES.ADMIN], own: false },
+  // Obtener o regenerar la URL privada del calendario (.ics)
+  "clients:calendarFeed": { any: [ROLES.ADMIN], own: true },
+  // Importar clientes desde un archivo CSV
+  "clients:import": { any: [ROLES.ADMIN], own: false },
+  "vehicles:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "vehicles:create": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "vehicles:update": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "vehicles:delete": { any: [ROLES.ADMIN], own: true },
+  "reservations:list": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "reservations:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "reservations:create": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "reservations:update": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "reservations:delete": { any: [ROLES.ADMIN], own: false },
+  // Mover una reserva a "En proceso", "Completado" o "No presentado" y cancelar un trabajo en proceso
+  "reservations:progress": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: false },
+  // Asignar un técnico a una reserva
+  "reservations:assign": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: false },
+  // Importar reservas desde un archivo CSV
+  "reservations:import": { any: [ROLES.ADMIN], own: false },
+  "technicians:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: false },
+  "calendar:manage": { any: [ROLES.ADMIN], own: false },
+  "services:manage": { any: [ROLES.ADMIN], own: false },
+  "quotes:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: true },
+  "quotes:manage": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: false },
+  // Aprobar o rechazar una cotización
+  "quotes:respond": { any: [ROLES.ADMIN], own: true },
+  "invoices:read": { any: [ROLES.ADMIN], own: true },
+  "invoices:manage": { any: [ROLES.ADMIN], own: false },
+  "parts:read": { any: [ROLES.ADMIN, ROLES.MECHANIC], own: false },
+  "parts:manage": { any: [ROLES.ADMIN], own: false },
+  "webhooks:manage": { any: [ROLES.ADMIN], own: false },
+  "stats:read": { any: [ROLES.ADMIN], own: false }
+};
+
+// Verificar si un rol puede realizar la acción sobre cualquier recurso
+export const hasPermission = (role, permission) => {
+  return PERMISSIONS[permission].any.includes(role);
+};
+
+// Verificar si la acción puede realizarse sobre los propios recursos
+export const allowsOwn = (permission) => {
+  return PERMISSIONS[permission].own;
+};
@@ -0,0 +1,324 @@
+import { Router } from "express";
+import {
+  getSchedule,
+  getAllClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure
+} from "../controllers/calendarController.js";
+import { getCalendarFeed } from "../controllers/calendarFeedsController.js";
+import {
+  validateClosure,
+  validateClosureUpdate,
+  validateCalendarFeedToken,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Closure:
+ *       type: object
+ *       required:
+ *         - date
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del cierre
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Día en que el taller permanece cerrado (YYYY-MM-DD)
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *           description: Nombre del festivo o motivo del cierre
+ *         type:
+ *           type: string
+ *           enum: [Festivo, Cierre]
+ *           default: Festivo
+ *           description: Tipo de cierre
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3f5"
+ *         date: "2024-12-25"
+ *         name: "Navidad"
+ *         type: "Festivo"
+ *         createdAt: "2023-07-20T10:00:00.000Z"
+ *         updatedAt: "2023-07-20T10:00:00.000Z"
+ */
+
+/**
+ * @swagger
+ * /api/calendar/schedule:
+ *   get:
+ *     summary: Obtiene el horario de atención semanal
+ *     description: Las claves son los días de la semana (0 = domingo). Un valor null indica que el taller no atiende ese día.
+ *     tags: [Calendario]
+ *     responses:
+ *       200:
+ *         description: Horario obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example:
+ *                     "0": null
+ *                     "1": { open: "08:00", close: "18:00" }
+ *                     "6": { open: "08:00", close: "13:00" }
+ */
+router.get("/schedule", getSchedule);
+
+/**
+ * @swagger
+ * /api/calendar/closures:
+ *   get:
+ *     summary: Obtiene los festivos y cierres del taller
+ *     tags: [Calendario]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha inicial (YYYY-MM-DD)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha final (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Cierres obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Closure'
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/closures", getAllClosures);
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Obtiene el calendario privado de un cliente o técnico
+ *     description: "No requiere sesión: el token de la URL identifica al usuario. La URL se obtiene en `GET /api/clients/{id}/calendar-feed`. Incluye las reservas desde la última semana; las canceladas aparecen con estado cancelado y las reprogramadas actualizan el evento existente."
+ *     tags: [Calendario]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token privado del calendario
+ *     responses:
+ *       200:
+ *         description: Calendario obtenido exitosamente
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Token no válido
+ *       404:
+ *         description: Calendario no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/feeds/:token.ics", validateCalendarFeedToken, getCalendarFeed);
+
+/**
+ * @swagger
+ * /api/calendar/closures:
+ *   post:
+ *     summary: Registra un festivo o cierre
+ *     description: Solo disponible para administradores.
+ *     tags: [Calendario]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - name
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [Festivo, Cierre]
+ *             example:
+ *               date: "2024-12-25"
+ *               name: "Navidad"
+ *               type: "Festivo"
+ *     responses:
+ *       201:
+ *         description: Cierre creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cierre creado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Closure'
+ *       400:
+ *         description: Errores de validación o fecha ya registrada
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/closures", authenticate, authorize("calendar:manage"), validateClosure, createClosure);
+
+/**
+ * @swagger
+ * /api/calendar/closures/{id}:
+ *   put:
+ *     summary: Actualiza un festivo o cierre
+ *     description: Solo disponible para administradores.
+ *     tags: [Calendario]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cierre
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [Festivo, Cierre]
+ *     responses:
+ *       200:
+ *         description: Cierre actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cierre actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Closure'
+ *       400:
+ *         description: Errores de validación o fecha ya registrada
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cierre no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/closures/:id", authenticate, validateId, authorize("calendar:manage"), validateClosureUpdate, updateClosure);
+
+/**
+ * @swagger
+ * /api/calendar/closures/{id}:
+ *   delete:
+ *     summary: Elimina un festivo o cierre
+ *     description: Solo disponible para administradores.
+ *     tags: [Calendario]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cierre
+ *     responses:
+ *       200:
+ *         description: Cierre eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cierre eliminado exitosamente"
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cierre no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.delete("/closures/:id", authenticate, validateId, authorize("calendar:manage"), deleteClosure);
+
+export default router;
@@ -1,17 +1,45 @@
 import { Router } from "express";
 import {
   getAllClients,
+  exportClients,
   getClientById,
   createClient,
   updateClient,
+  updateClientRole,
+  resetNoShows,
   deleteClient
 } from "../controllers/clientsController.js";
+import {
+  login,
+  logout,
+  getMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendEmailVerification
+} from "../controllers/authController.js";
+import { getClientHistory } from "../controllers/historyController.js";
+import { importClients } from "../controllers/importController.js";
+import { getCalendarFeedUrl, resetCalendarFeedUrl } from "../controllers/calendarFeedsController.js";
+import { getClientInvoices } from "../controllers/invoicesController.js";
 import {
   validateClient,
   validateClientUpdate,
+  validateLogin,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateRole,
   validateId,
+  validateExport,
+  validateImport,
   checkEmailUnique
 } from "../middlewares/validation.js";
+import { csvBody } from "../utils/csvImport.js";
+import { authenticate, authorize, authorizeClientOwner } from "../middlewares/auth.js";
+import vehiclesRoutes from "./vehicles.js";
 
 const router = Router();
 
@@ -52,6 +80,19 @@ const router = Router();
  *           minimum: 18
  *           maximum: 120
  *           description: Edad del cliente
+ *         role:
+ *           type: string
+ *           enum: [admin, mechanic, client]
+ *           default: client
+ *           description: Rol del usuario en el sistema
+ *         noShowCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Reservas a las que el cliente no se presentó
+ *         emailVerified:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Si el cliente confirmó su email con el enlace recibido por correo
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -66,9 +107,28 @@ const router = Router();
  *         email: "juan@example.com"
  *         phone: "+57300123456"
  *         age: 30
+ *         role: "client"
  *         createdAt: "2023-07-20T10:00:00.000Z"
  *         updatedAt: "2023-07-20T10:00:00.000Z"
  *     
+ *     HistoryEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID de la reserva
+ *         vehicle:
+ *           type: string
+ *         vehicleId:
+ *           type: string
+ *         service:
+ *           type: string
+ *         scheduledDate:
+ *           type: string
+ *           format: date-time
+ *         completion:
+ *           $ref: '#/components/schemas/Completion'
+ *
  *     ClientInput:
  *       type: object
  *       required:
@@ -105,6 +165,65 @@ const router = Router();
  *         password: "123456"
  *         phone: "+57300123456"
  *         age: 30
+ *
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *           description: Si fue solo una simulación
+ *         totalRows:
+ *           type: integer
+ *           description: Filas leídas del archivo
+ *         valid:
+ *           type: integer
+ *           description: Filas que pasaron las validaciones y no están repetidas
+ *         imported:
+ *           type: integer
+ *           description: Filas guardadas (0 en una simulación)
+ *         duplicates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Línea del archivo
+ *               email:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Línea del archivo
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *       example:
+ *         dryRun: true
+ *         totalRows: 3
+ *         valid: 1
+ *         imported: 0
+ *         duplicates:
+ *           - row: 3
+ *             email: "juan@example.com"
+ *             reason: "Ya registrado"
+ *         errors:
+ *           - row: 4
+ *             errors:
+ *               - field: "age"
+ *                 message: "La edad debe ser un número entre 18 y 120"
  */
 
 /**
@@ -112,7 +231,11 @@ const router = Router();
  * /api/clients:
  *   get:
  *     summary: Obtiene todos los clientes
+ *     description: Solo disponible para administradores.
  *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -167,10 +290,427 @@ const router = Router();
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorize("clients:list"), getAllClients);
+
+/**
+ * @swagger
+ * /api/clients/export:
+ *   get:
+ *     summary: Exporta los clientes en CSV o Excel
+ *     description: Solo disponible para administradores. Acepta los mismos filtros que el listado y exporta todos los clientes que coinciden (sin paginación). Nunca incluye la contraseña.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: Formato del archivo
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Filtrar por nombre (búsqueda parcial)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filtrar por email (búsqueda parcial)
+ *     responses:
+ *       200:
+ *         description: Archivo exportado
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/export", authenticate, authorize("clients:list"), validateExport, exportClients);
+
+/**
+ * @swagger
+ * /api/clients/import:
+ *   post:
+ *     summary: Importa clientes desde un archivo CSV
+ *     description: "Solo disponible para administradores. El archivo se envía como cuerpo de la petición con Content-Type `text/csv` y debe tener las columnas name, email, password, phone y age. Cada fila se valida con las mismas reglas del registro; los emails repetidos en el archivo o ya registrados se informan como duplicados. Con `dryRun=true` solo se devuelve el reporte, sin guardar nada."
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validar el archivo sin guardar los clientes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             name,email,password,phone,age
+ *             Juan Pérez,juan@example.com,123456,+57300123456,30
+ *     responses:
+ *       200:
+ *         description: Reporte de la importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Archivo vacío o CSV no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       413:
+ *         description: El archivo supera el tamaño máximo
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/import", authenticate, authorize("clients:import"), csvBody, validateImport, importClients);
+
+/**
+ * @swagger
+ * /api/clients/login:
+ *   post:
+ *     summary: Inicia sesión de un cliente
+ *     description: "Devuelve un token JWT y lo guarda en la cookie httpOnly `authToken`. El token también puede enviarse en el header `Authorization: Bearer <token>`."
+ *     tags: [Clientes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *             example:
+ *               email: "juan@example.com"
+ *               password: "123456"
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inicio de sesión exitoso"
+ *                 token:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Client'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: Credenciales no válidas
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/login", validateLogin, login);
+
+/**
+ * @swagger
+ * /api/clients/logout:
+ *   post:
+ *     summary: Cierra la sesión del cliente
+ *     tags: [Clientes]
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ */
+router.post("/logout", logout);
+
+/**
+ * @swagger
+ * /api/clients/me:
+ *   get:
+ *     summary: Obtiene el cliente autenticado
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cliente autenticado obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Client'
+ *       401:
+ *         description: No autenticado o token no válido
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/me", authenticate, getMe);
+
+/**
+ * @swagger
+ * /api/clients/me/password:
+ *   patch:
+ *     summary: Cambia la contraseña del cliente autenticado
+ *     description: Exige la contraseña actual. Las sesiones iniciadas antes del cambio dejan de ser válidas; la sesión actual recibe un token nuevo, que también se guarda en la cookie `authToken`.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *             example:
+ *               currentPassword: "123456"
+ *               newPassword: "nueva-clave"
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Contraseña actualizada exitosamente; las demás sesiones se cerraron"
+ *                 token:
+ *                   type: string
+ *                   description: Nuevo token JWT
+ *       400:
+ *         description: Errores de validación o contraseña actual incorrecta
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/me/password", authenticate, validateChangePassword, changePassword);
+
+/**
+ * @swagger
+ * /api/clients/forgot-password:
+ *   post:
+ *     summary: Solicita un enlace para restablecer la contraseña
+ *     description: Si el email está registrado, envía un correo con un enlace de un solo uso que vence en `PASSWORD_RESET_TTL_MINUTES` minutos. La respuesta es la misma aunque el email no esté registrado.
+ *     tags: [Clientes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *             example:
+ *               email: "juan@example.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Si el email está registrado, recibirás un enlace para restablecer tu contraseña"
+ *       400:
+ *         description: Errores de validación
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/forgot-password", validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /api/clients/reset-password:
+ *   post:
+ *     summary: Restablece la contraseña con el token recibido por correo
+ *     description: El token solo puede usarse una vez. Restablecer la contraseña también marca el email como verificado.
+ *     tags: [Clientes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token del enlace recibido por correo
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: Nueva contraseña
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Contraseña restablecida exitosamente; ya puedes iniciar sesión"
+ *       400:
+ *         description: Errores de validación o enlace no válido, expirado o ya usado
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/reset-password", validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /api/clients/verify-email:
+ *   post:
+ *     summary: Verifica el email con el token recibido por correo
+ *     description: El enlace se envía al registrarse y al cambiar el email, y vence en `EMAIL_VERIFICATION_TTL_HOURS` horas.
+ *     tags: [Clientes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token del enlace recibido por correo
+ *     responses:
+ *       200:
+ *         description: Email verificado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Email verificado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Client'
+ *       400:
+ *         description: Errores de validación o enlace no válido, expirado o ya usado
  *       500:
  *         description: Error del servidor
  */
-router.get("/", getAllClients);
+router.post("/verify-email", validateVerifyEmail, verifyEmail);
+
+/**
+ * @swagger
+ * /api/clients/verify-email/resend:
+ *   post:
+ *     summary: Reenvía el enlace de verificación al email del cliente autenticado
+ *     description: El enlace anterior deja de funcionar.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enlace de verificación enviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Te enviamos un nuevo enlace de verificación a juan@example.com"
+ *       400:
+ *         description: El email ya está verificado
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/verify-email/resend", authenticate, resendEmailVerification);
 
 /**
  * @swagger
@@ -178,6 +718,9 @@ router.get("/", getAllClients);
  *   get:
  *     summary: Obtiene un cliente por ID
  *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -200,18 +743,117 @@ router.get("/", getAllClients);
  *                   $ref: '#/components/schemas/Client'
  *       400:
  *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Cliente no encontrado
  *       500:
  *         description: Error del servidor
  */
-router.get("/:id", validateId, getClientById);
+router.get("/:id", authenticate, validateId, authorizeClientOwner("clients:read"), getClientById);
+
+/**
+ * @swagger
+ * /api/clients/{id}/history:
+ *   get:
+ *     summary: Obtiene el historial de mantenimiento de un cliente
+ *     description: Devuelve las reservas completadas del cliente en orden cronológico con el trabajo realizado.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/history", authenticate, validateId, authorizeClientOwner("clients:read"), getClientHistory);
+
+/**
+ * @swagger
+ * /api/clients/{id}/invoices:
+ *   get:
+ *     summary: Obtiene las facturas de un cliente
+ *     description: Los clientes no ven los borradores.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Borrador, Emitida, Pagada, Anulada]
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Facturas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/invoices", authenticate, validateId, authorizeClientOwner("invoices:read"), getClientInvoices);
 
 /**
  * @swagger
  * /api/clients:
  *   post:
  *     summary: Crea un nuevo cliente
+ *     description: El cliente recibe un correo con un enlace para verificar su email.
  *     tags: [Clientes]
  *     requestBody:
  *       required: true
@@ -247,7 +889,11 @@ router.post("/", validateClient, createClient);
  * /api/clients/{id}:
  *   put:
  *     summary: Actualiza un cliente
+ *     description: No permite cambiar la contraseña; para eso se usa `PATCH /api/clients/me/password`. Si cambia el email, el cliente debe verificarlo de nuevo.
  *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -269,9 +915,6 @@ router.post("/", validateClient, createClient);
  *               email:
  *                 type: string
  *                 format: email
- *               password:
- *                 type: string
- *                 minLength: 6
  *               phone:
  *                 type: string
  *               age:
@@ -295,20 +938,228 @@ router.post("/", validateClient, createClient);
  *                 data:
  *                   $ref: '#/components/schemas/Client'
  *       400:
- *         description: Errores de validación o email ya registrado
+ *         description: Errores de validación, email ya registrado o intento de cambiar la contraseña
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorizeClientOwner("clients:update"), validateClientUpdate, checkEmailUnique, updateClient);
+
+/**
+ * @swagger
+ * /api/clients/{id}/role:
+ *   patch:
+ *     summary: Cambia el rol de un cliente
+ *     description: Solo disponible para administradores.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, mechanic, client]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Rol actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Client'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Cliente no encontrado
  *       500:
  *         description: Error del servidor
  */
-router.put("/:id", validateId, validateClientUpdate, checkEmailUnique, updateClient);
+router.patch("/:id/role", authenticate, validateId, authorize("clients:changeRole"), validateRole, updateClientRole);
+
+/**
+ * @swagger
+ * /api/clients/{id}/no-shows/reset:
+ *   patch:
+ *     summary: Reinicia el contador de inasistencias de un cliente
+ *     description: Solo disponible para administradores. Permite que un cliente bloqueado por inasistencias vuelva a reservar por su cuenta.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *     responses:
+ *       200:
+ *         description: Inasistencias reiniciadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inasistencias reiniciadas exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Client'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/no-shows/reset", authenticate, validateId, authorize("clients:resetNoShows"), resetNoShows);
+
+/**
+ * @swagger
+ * /api/clients/{id}/calendar-feed:
+ *   get:
+ *     summary: Obtiene la URL privada del calendario de un cliente o técnico
+ *     description: La URL puede agregarse como calendario suscrito en Google Calendar, Outlook o Apple Calendar, sin iniciar sesión. Los clientes ven sus reservas y los técnicos las reservas que tienen asignadas. La URL se genera la primera vez que se consulta.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente o técnico
+ *     responses:
+ *       200:
+ *         description: URL del calendario obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "https://api.partplus.com/api/calendar/feeds/4f9c...e21a.ics"
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/calendar-feed", authenticate, validateId, authorizeClientOwner("clients:calendarFeed"), getCalendarFeedUrl);
+
+/**
+ * @swagger
+ * /api/clients/{id}/calendar-feed/reset:
+ *   post:
+ *     summary: Regenera la URL privada del calendario de un cliente o técnico
+ *     description: La URL anterior deja de funcionar. Útil si la URL se compartió por error.
+ *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente o técnico
+ *     responses:
+ *       200:
+ *         description: URL del calendario regenerada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "https://api.partplus.com/api/calendar/feeds/4f9c...e21a.ics"
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/:id/calendar-feed/reset", authenticate, validateId, authorizeClientOwner("clients:calendarFeed"), resetCalendarFeedUrl);
 
 /**
  * @swagger
  * /api/clients/{id}:
  *   delete:
  *     summary: Elimina un cliente
+ *     description: Solo disponible para administradores.
  *     tags: [Clientes]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -332,11 +1183,18 @@ router.put("/:id", validateId, validateClientUpdate, checkEmailUnique, updateCli
  *                   example: "Cliente eliminado exitosamente"
  *       400:
  *         description: ID no válido o cliente tiene reservas activas
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Cliente no encontrado
  *       500:
  *         description: Error del servidor
  */
-router.delete("/:id", validateId, deleteClient);
+router.delete("/:id", authenticate, validateId, authorize("clients:delete"), deleteClient);
+
+// Vehículos del cliente
+router.use("/:id/vehicles", vehiclesRoutes);
 
 export default router;
@@ -0,0 +1,483 @@
+import { Router } from "express";
+import {
+  getAllInvoices,
+  getInvoiceById,
+  getInvoicePdf,
+  createInvoice,
+  updateInvoice,
+  issueInvoice,
+  payInvoice,
+  voidInvoice
+} from "../controllers/invoicesController.js";
+import {
+  validateInvoice,
+  validateInvoiceUpdate,
+  validateVoidInvoice,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize, authorizeDocumentOwner } from "../middlewares/auth.js";
+import Invoice from "../models/Invoice.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la factura
+ *         number:
+ *           type: string
+ *           description: Número consecutivo asignado al emitir la factura
+ *         reservationId:
+ *           type: string
+ *           description: ID de la reserva facturada
+ *         clientId:
+ *           type: string
+ *           description: ID del cliente
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LineItem'
+ *         taxRate:
+ *           type: number
+ *           description: Tasa de impuesto aplicada (0 a 1)
+ *         subtotal:
+ *           type: number
+ *           description: Suma de los ítems sin impuesto
+ *         tax:
+ *           type: number
+ *           description: Valor del impuesto
+ *         total:
+ *           type: number
+ *           description: Total con impuesto
+ *         status:
+ *           type: string
+ *           enum: [Borrador, Emitida, Pagada, Anulada]
+ *           description: Estado de la factura
+ *         notes:
+ *           type: string
+ *           description: Notas adicionales
+ *         voidReason:
+ *           type: string
+ *           description: Motivo de la anulación
+ *         createdBy:
+ *           type: string
+ *           description: ID del usuario que creó la factura
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de emisión
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de pago
+ *         voidedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de anulación
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3f8"
+ *         number: "FAC-000001"
+ *         reservationId: "60f7b1b3b3f3b3f3b3f3b3f4"
+ *         clientId: "60f7b1b3b3f3b3f3b3f3b3f3"
+ *         items:
+ *           - type: "Mano de obra"
+ *             description: "Cambio de aceite"
+ *             quantity: 1
+ *             unitPrice: 80000
+ *             total: 80000
+ *         taxRate: 0.19
+ *         subtotal: 80000
+ *         tax: 15200
+ *         total: 95200
+ *         status: "Emitida"
+ *         issuedAt: "2023-07-20T10:00:00.000Z"
+ *
+ *     InvoiceInput:
+ *       type: object
+ *       required:
+ *         - reservationId
+ *       properties:
+ *         reservationId:
+ *           type: string
+ *         items:
+ *           type: array
+ *           description: Si se omite, se usan los ítems de la cotización aprobada o el precio base del servicio
+ *           items:
+ *             $ref: '#/components/schemas/LineItem'
+ *         taxRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *       example:
+ *         reservationId: "60f7b1b3b3f3b3f3b3f3b3f4"
+ */
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Obtiene las facturas con paginación
+ *     description: Los clientes solo ven sus propias facturas y nunca los borradores.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Número de facturas por página
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por cliente
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Borrador, Emitida, Pagada, Anulada]
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Facturas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: ID de cliente no válido
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, getAllInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Obtiene una factura por ID
+ *     description: Para un cliente, los borradores responden como no encontrados.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     responses:
+ *       200:
+ *         description: Factura obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id", authenticate, validateId, authorizeDocumentOwner(Invoice, "invoices:read"), getInvoiceById);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/pdf:
+ *   get:
+ *     summary: Descarga una factura en PDF
+ *     description: Incluye los datos del cliente, el servicio, el vehículo, los ítems y los totales. Para un cliente, los borradores responden como no encontrados.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     responses:
+ *       200:
+ *         description: Factura generada exitosamente
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/pdf", authenticate, validateId, authorizeDocumentOwner(Invoice, "invoices:read"), getInvoicePdf);
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   post:
+ *     summary: Crea una factura en borrador para una reserva completada
+ *     description: Solo disponible para administradores. Los totales se calculan automáticamente.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Factura creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Factura creada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Invoice'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       409:
+ *         description: La reserva no está completada o ya tiene una factura
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, authorize("invoices:manage"), validateInvoice, createInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   put:
+ *     summary: Actualiza una factura en borrador
+ *     description: Solo disponible para administradores. Las facturas emitidas no pueden modificarse.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LineItem'
+ *               taxRate:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Factura actualizada exitosamente
+ *       400:
+ *         description: ID no válido o errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura no está en borrador
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorize("invoices:manage"), validateInvoiceUpdate, updateInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/issue:
+ *   patch:
+ *     summary: Emite una factura en borrador
+ *     description: Solo disponible para administradores. Asigna el siguiente número consecutivo.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     responses:
+ *       200:
+ *         description: Factura emitida exitosamente
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: Transición de estado no permitida o la factura cambió de estado durante la petición
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/issue", authenticate, validateId, authorize("invoices:manage"), issueInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/pay:
+ *   patch:
+ *     summary: Registra el pago de una factura emitida
+ *     description: Solo disponible para administradores.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     responses:
+ *       200:
+ *         description: Pago registrado exitosamente
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: Transición de estado no permitida
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/pay", authenticate, validateId, authorize("invoices:manage"), payInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/void:
+ *   patch:
+ *     summary: Anula una factura
+ *     description: Solo disponible para administradores. Las facturas pagadas no pueden anularse.
+ *     tags: [Facturas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la factura
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Error en los datos del cliente"
+ *     responses:
+ *       200:
+ *         description: Factura anulada exitosamente
+ *       400:
+ *         description: ID no válido o errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: Transición de estado no permitida
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/void", authenticate, validateId, authorize("invoices:manage"), validateVoidInvoice, voidInvoice);
+
+export default router;
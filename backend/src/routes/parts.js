@@ -0,0 +1,514 @@
+import { Router } from "express";
+import {
+  getAllParts,
+  getLowStockParts,
+  getPartById,
+  createPart,
+  updatePart,
+  deletePart,
+  getPartMovements,
+  createStockMovement
+} from "../controllers/partsController.js";
+import {
+  validatePart,
+  validatePartUpdate,
+  validateStockMovement,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Part:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - name
+ *         - cost
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del repuesto
+ *         sku:
+ *           type: string
+ *           maxLength: 50
+ *           description: Código único del repuesto (en mayúsculas)
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *           description: Nombre del repuesto
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           description: Descripción del repuesto
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *           description: Unidades disponibles
+ *         cost:
+ *           type: number
+ *           minimum: 0
+ *           description: Costo unitario
+ *         reorderThreshold:
+ *           type: integer
+ *           minimum: 0
+ *           description: Stock mínimo a partir del cual debe reabastecerse
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Si el repuesto sigue en uso
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3f9"
+ *         sku: "FIL-ACE-001"
+ *         name: "Filtro de aceite"
+ *         stock: 24
+ *         cost: 18000
+ *         reorderThreshold: 10
+ *         active: true
+ *
+ *     PartInput:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - name
+ *         - cost
+ *       properties:
+ *         sku:
+ *           type: string
+ *           maxLength: 50
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *           description: Stock inicial (solo al crear)
+ *         cost:
+ *           type: number
+ *           minimum: 0
+ *         reorderThreshold:
+ *           type: integer
+ *           minimum: 0
+ *         active:
+ *           type: boolean
+ *       example:
+ *         sku: "FIL-ACE-001"
+ *         name: "Filtro de aceite"
+ *         stock: 24
+ *         cost: 18000
+ *         reorderThreshold: 10
+ *
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del movimiento
+ *         partId:
+ *           type: string
+ *           description: ID del repuesto
+ *         type:
+ *           type: string
+ *           enum: [Entrada, Salida, Ajuste]
+ *           description: Tipo de movimiento
+ *         quantity:
+ *           type: integer
+ *           description: Variación del stock (negativa en salidas)
+ *         stockAfter:
+ *           type: integer
+ *           description: Stock después del movimiento
+ *         reservationId:
+ *           type: string
+ *           description: Reserva en la que se consumió el repuesto
+ *         reason:
+ *           type: string
+ *           description: Motivo del movimiento
+ *         createdBy:
+ *           type: string
+ *           description: ID del usuario que registró el movimiento
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del movimiento
+ */
+
+/**
+ * @swagger
+ * /api/parts:
+ *   get:
+ *     summary: Obtiene los repuestos del inventario
+ *     description: Disponible para administradores y mecánicos.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Buscar por SKU o nombre
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Repuestos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Part'
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorize("parts:read"), getAllParts);
+
+/**
+ * @swagger
+ * /api/parts/low-stock:
+ *   get:
+ *     summary: Obtiene los repuestos que deben reabastecerse
+ *     description: Devuelve los repuestos activos cuyo stock es igual o inferior a su umbral de reabastecimiento, empezando por los de menor stock.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Repuestos con bajo stock obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Part'
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/low-stock", authenticate, authorize("parts:read"), getLowStockParts);
+
+/**
+ * @swagger
+ * /api/parts/{id}:
+ *   get:
+ *     summary: Obtiene un repuesto por ID
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del repuesto
+ *     responses:
+ *       200:
+ *         description: Repuesto obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Part'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Repuesto no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id", authenticate, validateId, authorize("parts:read"), getPartById);
+
+/**
+ * @swagger
+ * /api/parts:
+ *   post:
+ *     summary: Registra un repuesto en el inventario
+ *     description: Solo disponible para administradores. El stock inicial se registra como un movimiento de entrada.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PartInput'
+ *     responses:
+ *       201:
+ *         description: Repuesto creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Repuesto creado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Part'
+ *       400:
+ *         description: Errores de validación o SKU ya registrado
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, authorize("parts:manage"), validatePart, createPart);
+
+/**
+ * @swagger
+ * /api/parts/{id}:
+ *   put:
+ *     summary: Actualiza un repuesto
+ *     description: Solo disponible para administradores. El stock no puede modificarse aquí; use los movimientos de inventario.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del repuesto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PartInput'
+ *     responses:
+ *       200:
+ *         description: Repuesto actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Repuesto actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Part'
+ *       400:
+ *         description: Errores de validación o SKU ya registrado
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Repuesto no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorize("parts:manage"), validatePartUpdate, updatePart);
+
+/**
+ * @swagger
+ * /api/parts/{id}:
+ *   delete:
+ *     summary: Elimina un repuesto
+ *     description: Solo disponible para administradores. Un repuesto usado en reservas no puede eliminarse, solo desactivarse.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del repuesto
+ *     responses:
+ *       200:
+ *         description: Repuesto eliminado exitosamente
+ *       400:
+ *         description: ID no válido o repuesto usado en reservas
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Repuesto no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.delete("/:id", authenticate, validateId, authorize("parts:manage"), deletePart);
+
+/**
+ * @swagger
+ * /api/parts/{id}/movements:
+ *   get:
+ *     summary: Obtiene los movimientos de inventario de un repuesto
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del repuesto
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Número de movimientos por página
+ *     responses:
+ *       200:
+ *         description: Movimientos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Repuesto no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/movements", authenticate, validateId, authorize("parts:read"), getPartMovements);
+
+/**
+ * @swagger
+ * /api/parts/{id}/movements:
+ *   post:
+ *     summary: Registra un movimiento manual de inventario
+ *     description: Solo disponible para administradores. Las entradas y salidas usan cantidades positivas; los ajustes pueden ser negativos y requieren un motivo.
+ *     tags: [Repuestos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del repuesto
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [Entrada, Salida, Ajuste]
+ *               quantity:
+ *                 type: integer
+ *                 example: 12
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Compra al proveedor"
+ *     responses:
+ *       201:
+ *         description: Movimiento registrado exitosamente
+ *       400:
+ *         description: ID no válido o errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Repuesto no encontrado
+ *       409:
+ *         description: Stock insuficiente
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/:id/movements", authenticate, validateId, authorize("parts:manage"), validateStockMovement, createStockMovement);
+
+export default router;
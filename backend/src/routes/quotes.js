@@ -0,0 +1,388 @@
+import { Router } from "express";
+import {
+  getAllQuotes,
+  getQuoteById,
+  createQuote,
+  approveQuote,
+  rejectQuote
+} from "../controllers/quotesController.js";
+import {
+  validateQuote,
+  validateRejectQuote,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize, authorizeDocumentOwner } from "../middlewares/auth.js";
+import Quote from "../models/Quote.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LineItem:
+ *       type: object
+ *       required:
+ *         - type
+ *         - description
+ *         - quantity
+ *         - unitPrice
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Mano de obra, Repuesto]
+ *           description: Tipo de ítem
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *           description: Descripción del ítem
+ *         quantity:
+ *           type: number
+ *           minimum: 0.01
+ *           description: Cantidad
+ *         unitPrice:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio unitario
+ *         total:
+ *           type: number
+ *           readOnly: true
+ *           description: Cantidad por precio unitario
+ *       example:
+ *         type: "Repuesto"
+ *         description: "Filtro de aceite"
+ *         quantity: 1
+ *         unitPrice: 35000
+ *
+ *     Quote:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la cotización
+ *         reservationId:
+ *           type: string
+ *           description: ID de la reserva cotizada
+ *         clientId:
+ *           type: string
+ *           description: ID del cliente
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LineItem'
+ *         taxRate:
+ *           type: number
+ *           description: Tasa de impuesto aplicada (0 a 1)
+ *         subtotal:
+ *           type: number
+ *           description: Suma de los ítems sin impuesto
+ *         tax:
+ *           type: number
+ *           description: Valor del impuesto
+ *         total:
+ *           type: number
+ *           description: Total con impuesto
+ *         status:
+ *           type: string
+ *           enum: [Pendiente, Aprobada, Rechazada]
+ *           description: Estado de la cotización
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha límite para responder la cotización
+ *         notes:
+ *           type: string
+ *           description: Notas adicionales
+ *         rejectionReason:
+ *           type: string
+ *           description: Motivo del rechazo
+ *         createdBy:
+ *           type: string
+ *           description: ID del usuario que creó la cotización
+ *         respondedBy:
+ *           type: string
+ *           description: ID del usuario que respondió la cotización
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de la respuesta
+ *
+ *     QuoteInput:
+ *       type: object
+ *       required:
+ *         - reservationId
+ *         - items
+ *       properties:
+ *         reservationId:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/LineItem'
+ *         taxRate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *       example:
+ *         reservationId: "60f7b1b3b3f3b3f3b3f3b3f4"
+ *         items:
+ *           - type: "Mano de obra"
+ *             description: "Cambio de aceite"
+ *             quantity: 1
+ *             unitPrice: 80000
+ *           - type: "Repuesto"
+ *             description: "Filtro de aceite"
+ *             quantity: 1
+ *             unitPrice: 35000
+ *         validUntil: "2024-12-31T23:59:59.000Z"
+ */
+
+/**
+ * @swagger
+ * /api/quotes:
+ *   get:
+ *     summary: Obtiene las cotizaciones
+ *     description: Los clientes solo ven sus propias cotizaciones.
+ *     tags: [Cotizaciones]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reservationId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por reserva
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pendiente, Aprobada, Rechazada]
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Cotizaciones obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: ID de reserva no válido
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, getAllQuotes);
+
+/**
+ * @swagger
+ * /api/quotes/{id}:
+ *   get:
+ *     summary: Obtiene una cotización por ID
+ *     tags: [Cotizaciones]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la cotización
+ *     responses:
+ *       200:
+ *         description: Cotización obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cotización no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id", authenticate, validateId, authorizeDocumentOwner(Quote, "quotes:read"), getQuoteById);
+
+/**
+ * @swagger
+ * /api/quotes:
+ *   post:
+ *     summary: Crea una cotización para una reserva pendiente
+ *     description: Solo disponible para administradores y mecánicos. Los totales se calculan automáticamente.
+ *     tags: [Cotizaciones]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuoteInput'
+ *     responses:
+ *       201:
+ *         description: Cotización creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cotización creada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       409:
+ *         description: La reserva no está pendiente o ya tiene una cotización abierta
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, authorize("quotes:manage"), validateQuote, createQuote);
+
+/**
+ * @swagger
+ * /api/quotes/{id}/approve:
+ *   patch:
+ *     summary: Aprueba una cotización pendiente
+ *     description: Disponible para el cliente de la cotización y para administradores.
+ *     tags: [Cotizaciones]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la cotización
+ *     responses:
+ *       200:
+ *         description: Cotización aprobada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cotización aprobada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cotización no encontrada
+ *       409:
+ *         description: La cotización ya fue respondida, está vencida o su reserva ya no está pendiente
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/approve", authenticate, validateId, authorizeDocumentOwner(Quote, "quotes:respond"), approveQuote);
+
+/**
+ * @swagger
+ * /api/quotes/{id}/reject:
+ *   patch:
+ *     summary: Rechaza una cotización pendiente
+ *     description: Disponible para el cliente de la cotización y para administradores.
+ *     tags: [Cotizaciones]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la cotización
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "El precio es muy alto"
+ *     responses:
+ *       200:
+ *         description: Cotización rechazada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Cotización rechazada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Quote'
+ *       400:
+ *         description: ID no válido o errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cotización no encontrada
+ *       409:
+ *         description: La cotización ya fue respondida, está vencida o su reserva ya no está pendiente
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/reject", authenticate, validateId, authorizeDocumentOwner(Quote, "quotes:respond"), validateRejectQuote, rejectQuote);
+
+export default router;
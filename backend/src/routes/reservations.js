@@ -1,17 +1,44 @@
 import { Router } from "express";
 import {
   getAllReservations,
+  getAvailability,
   getReservationById,
+  getReservationPdf,
+  getReservationIcs,
   createReservation,
   updateReservation,
   deleteReservation,
-  getReservationsByClient
+  startReservation,
+  completeReservation,
+  cancelReservation,
+  assignReservation,
+  getReservationsByClient,
+  streamReservations,
+  exportReservations
 } from "../controllers/reservationsController.js";
+import { importReservations } from "../controllers/importController.js";
 import {
   validateReservation,
   validateReservationUpdate,
-  validateId
+  validateCancelReservation,
+  validateCompleteReservation,
+  validateAvailability,
+  validateAssignReservation,
+  validateReservationStream,
+  validateExport,
+  validateImport,
+  validateId,
+  validateClientIdParam
 } from "../middlewares/validation.js";
+import {
+  acceptQueryToken,
+  authenticate,
+  authorize,
+  authorizeClientOwner,
+  authorizeReservationOwner,
+  authorizeStatusChange
+} from "../middlewares/auth.js";
+import { csvBody } from "../utils/csvImport.js";
 
 const router = Router();
 
@@ -33,24 +60,17 @@ const router = Router();
  *         clientId:
  *           type: string
  *           description: ID del cliente que hace la reserva
+ *         vehicleId:
+ *           type: string
+ *           description: ID de un vehículo registrado del cliente
  *         vehicle:
  *           type: string
  *           minLength: 2
  *           maxLength: 100
- *           description: Información del vehículo
+ *           description: Información del vehículo (se toma del vehículo registrado si se indica vehicleId)
  *         service:
  *           type: string
- *           enum:
- *             - Mantenimiento preventivo
- *             - Cambio de aceite
- *             - Revisión de frenos
- *             - Alineación y balanceo
- *             - Revisión de motor
- *             - Cambio de llantas
- *             - Revisión eléctrica
- *             - Diagnóstico general
- *             - Otros
- *           description: Tipo de servicio solicitado
+ *           description: Nombre de un servicio activo del catálogo
  *         status:
  *           type: string
  *           enum:
@@ -58,16 +78,31 @@ const router = Router();
  *             - En proceso
  *             - Completado
  *             - Cancelado
+ *             - No presentado
  *           default: Pendiente
  *           description: Estado de la reserva
  *         scheduledDate:
  *           type: string
  *           format: date-time
  *           description: Fecha y hora programada para el servicio
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha estimada de finalización según la duración del servicio
+ *         assignedTo:
+ *           type: string
+ *           description: ID del mecánico asignado al trabajo
  *         notes:
  *           type: string
  *           maxLength: 500
  *           description: Notas adicionales sobre la reserva
+ *         statusHistory:
+ *           type: array
+ *           description: Historial de cambios de estado
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
+ *         completion:
+ *           $ref: '#/components/schemas/Completion'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -87,35 +122,135 @@ const router = Router();
  *         createdAt: "2023-07-20T10:00:00.000Z"
  *         updatedAt: "2023-07-20T10:00:00.000Z"
  *     
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         previousStatus:
+ *           type: string
+ *           nullable: true
+ *           description: Estado anterior (null al crear la reserva)
+ *         newStatus:
+ *           type: string
+ *           description: Nuevo estado
+ *         changedBy:
+ *           type: string
+ *           description: ID del usuario que realizó el cambio
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del cambio
+ *         reason:
+ *           type: string
+ *           description: Motivo del cambio (obligatorio al cancelar)
+ *
+ *     PartUsed:
+ *       type: object
+ *       required:
+ *         - quantity
+ *       properties:
+ *         partId:
+ *           type: string
+ *           description: ID del repuesto en el inventario; su stock se descuenta al completar la reserva
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           description: Nombre del repuesto (obligatorio si no se indica partId)
+ *         partNumber:
+ *           type: string
+ *           maxLength: 50
+ *           description: Número de parte (por defecto el SKU del inventario)
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           description: Cantidad utilizada
+ *
+ *     CompletionInput:
+ *       type: object
+ *       required:
+ *         - workPerformed
+ *       properties:
+ *         workPerformed:
+ *           type: string
+ *           maxLength: 2000
+ *           description: Trabajo realizado
+ *         partsUsed:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PartUsed'
+ *         mileage:
+ *           type: integer
+ *           minimum: 0
+ *           description: Kilometraje del vehículo al momento del servicio
+ *         technicianNotes:
+ *           type: string
+ *           maxLength: 1000
+ *           description: Notas del técnico
+ *       example:
+ *         workPerformed: "Cambio de aceite sintético 5W-30 y filtro"
+ *         partsUsed:
+ *           - partId: "60f7b1b3b3f3b3f3b3f3b3f9"
+ *             quantity: 1
+ *           - name: "Arandela de cárter"
+ *             quantity: 1
+ *         mileage: 45200
+ *         technicianNotes: "Se recomienda revisar las pastillas de freno en la próxima visita"
+ *
+ *     Completion:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CompletionInput'
+ *         - type: object
+ *           properties:
+ *             completedBy:
+ *               type: string
+ *               description: ID del usuario que completó la reserva
+ *             completedAt:
+ *               type: string
+ *               format: date-time
+ *               description: Fecha en que se completó la reserva
+ *
+ *     SchedulingConflict:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: "No hay bahías disponibles en el horario seleccionado"
+ *         conflictingSlot:
+ *           type: object
+ *           properties:
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *             reservationId:
+ *               type: string
+ *               description: Reserva del mismo cliente que se cruza con el horario
+ *
  *     ReservationInput:
  *       type: object
  *       required:
  *         - clientId
- *         - vehicle
  *         - service
  *         - scheduledDate
  *       properties:
  *         clientId:
  *           type: string
  *           description: ID del cliente que hace la reserva
+ *         vehicleId:
+ *           type: string
+ *           description: ID de un vehículo registrado del cliente
  *         vehicle:
  *           type: string
  *           minLength: 2
  *           maxLength: 100
- *           description: Información del vehículo
+ *           description: Información del vehículo (se toma del vehículo registrado si se indica vehicleId)
  *         service:
  *           type: string
- *           enum:
- *             - Mantenimiento preventivo
- *             - Cambio de aceite
- *             - Revisión de frenos
- *             - Alineación y balanceo
- *             - Revisión de motor
- *             - Cambio de llantas
- *             - Revisión eléctrica
- *             - Diagnóstico general
- *             - Otros
- *           description: Tipo de servicio solicitado
+ *           description: Nombre de un servicio activo del catálogo
  *         scheduledDate:
  *           type: string
  *           format: date-time
@@ -136,8 +271,12 @@ const router = Router();
  * @swagger
  * /api/reservations:
  *   get:
- *     summary: Obtiene todas las reservas
+ *     summary: Obtiene las reservas
+ *     description: Los administradores y mecánicos ven todas las reservas; un cliente solo ve las suyas.
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -163,9 +302,14 @@ const router = Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pendiente, En proceso, Completado, Cancelado]
+ *           enum: [Pendiente, En proceso, Completado, Cancelado, No presentado]
  *         description: Filtrar por estado
  *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filtrar por ID del técnico asignado
+ *       - in: query
  *         name: service
  *         schema:
  *           type: string
@@ -210,10 +354,264 @@ const router = Router();
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorizeClientOwner("reservations:list", "query", "clientId"), getAllReservations);
+
+/**
+ * @swagger
+ * /api/reservations/availability:
+ *   get:
+ *     summary: Obtiene los horarios disponibles para reservar
+ *     description: Calcula los horarios libres de un día según el horario de atención, la duración del servicio y las reservas no canceladas.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Día a consultar (YYYY-MM-DD)
+ *       - in: query
+ *         name: service
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Servicio a reservar
+ *     responses:
+ *       200:
+ *         description: Horarios disponibles obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     service:
+ *                       type: string
+ *                     duration:
+ *                       type: integer
+ *                       description: Duración del servicio en minutos
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
  *       500:
  *         description: Error del servidor
  */
-router.get("/", getAllReservations);
+router.get("/availability", authenticate, validateAvailability, getAvailability);
+
+/**
+ * @swagger
+ * /api/reservations/stream:
+ *   get:
+ *     summary: Recibe en tiempo real los cambios de las reservas
+ *     description: |
+ *       Flujo de Server-Sent Events (text/event-stream) que envía los eventos reservation.created, reservation.updated y reservation.deleted con la reserva en el campo data. Al conectarse se envía el evento ready.
+ *       Los clientes solo reciben los eventos de sus propias reservas. Como EventSource no permite enviar headers, el token JWT puede enviarse en la cookie o en el parámetro token.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filtrar por estado (varios separados por comas)
+ *         example: "Pendiente,En proceso"
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filtrar por día programado (YYYY-MM-DD)
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por cliente
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filtrar por técnico asignado
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Token JWT (alternativa a la cookie o al header Authorization)
+ *     responses:
+ *       200:
+ *         description: Flujo de eventos abierto
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: reservation.updated\ndata: {\"type\":\"reservation.updated\",\"reservation\":{...},\"occurredAt\":\"2024-12-20T10:00:00.000Z\"}"
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ */
+router.get("/stream", acceptQueryToken, authenticate, validateReservationStream, authorizeClientOwner("reservations:list", "query", "clientId"), streamReservations);
+
+/**
+ * @swagger
+ * /api/reservations/export:
+ *   get:
+ *     summary: Exporta las reservas en CSV o Excel
+ *     description: Acepta los mismos filtros que el listado de reservas y exporta todas las que coinciden (sin paginación), con el nombre, email y teléfono del cliente. Los clientes solo exportan sus propias reservas.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: Formato del archivo
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por ID del cliente
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pendiente, En proceso, Completado, Cancelado, No presentado]
+ *         description: Filtrar por estado
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filtrar por ID del técnico asignado
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Filtrar por servicio (búsqueda parcial)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de inicio para filtrar reservas
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de fin para filtrar reservas
+ *     responses:
+ *       200:
+ *         description: Archivo exportado
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/export", authenticate, validateExport, authorizeClientOwner("reservations:list", "query", "clientId"), exportReservations);
+
+/**
+ * @swagger
+ * /api/reservations/import:
+ *   post:
+ *     summary: Importa reservas desde un archivo CSV
+ *     description: "Solo disponible para administradores. El archivo se envía como cuerpo de la petición con Content-Type `text/csv` y debe tener las columnas clientEmail (o clientId), vehicle (o vehicleId), service y scheduledDate; notes es opcional. Cada fila se valida con las mismas reglas y verificaciones de horario y capacidad que al crear una reserva. Las reservas se crean como pendientes y no generan notificaciones. Con `dryRun=true` solo se devuelve el reporte, sin guardar nada."
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validar el archivo sin guardar las reservas
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             clientEmail,vehicle,service,scheduledDate,notes
+ *             juan@example.com,Toyota Corolla 2020,Cambio de aceite,2030-07-25T10:00:00.000Z,Cliente frecuente
+ *     responses:
+ *       200:
+ *         description: Reporte de la importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Archivo vacío o CSV no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       413:
+ *         description: El archivo supera el tamaño máximo
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/import", authenticate, authorize("reservations:import"), csvBody, validateImport, importReservations);
 
 /**
  * @swagger
@@ -221,6 +619,9 @@ router.get("/", getAllReservations);
  *   get:
  *     summary: Obtiene una reserva por ID
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -243,12 +644,91 @@ router.get("/", getAllReservations);
  *                   $ref: '#/components/schemas/Reservation'
  *       400:
  *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Reserva no encontrada
  *       500:
  *         description: Error del servidor
  */
-router.get("/:id", validateId, getReservationById);
+router.get("/:id", authenticate, validateId, authorizeReservationOwner("reservations:read"), getReservationById);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/pdf:
+ *   get:
+ *     summary: Descarga la confirmación de una reserva en PDF
+ *     description: Incluye el nombre y teléfono del cliente, el servicio, el vehículo y la fecha programada.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Confirmación generada exitosamente
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/pdf", authenticate, validateId, authorizeReservationOwner("reservations:read"), getReservationPdf);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/ics:
+ *   get:
+ *     summary: Descarga una reserva como evento de calendario (.ics)
+ *     description: El evento conserva su identificador y aumenta su secuencia cuando la reserva se reprograma o se cancela, así que al importarlo de nuevo la aplicación de calendario actualiza el evento existente en lugar de duplicarlo.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Evento de calendario generado exitosamente
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/ics", authenticate, validateId, authorizeReservationOwner("reservations:read"), getReservationIcs);
 
 /**
  * @swagger
@@ -256,6 +736,9 @@ router.get("/:id", validateId, getReservationById);
  *   post:
  *     summary: Crea una nueva reserva
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -280,19 +763,33 @@ router.get("/:id", validateId, getReservationById);
  *                   $ref: '#/components/schemas/Reservation'
  *       400:
  *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso, el cliente alcanzó el límite de inasistencias o no ha verificado su email (con `REQUIRE_VERIFIED_EMAIL`)
  *       404:
- *         description: Cliente no encontrado
+ *         description: Cliente o vehículo no encontrado
+ *       409:
+ *         description: No hay bahías disponibles o el cliente o el vehículo ya tienen una reserva en ese horario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SchedulingConflict'
  *       500:
  *         description: Error del servidor
  */
-router.post("/", validateReservation, createReservation);
+router.post("/", authenticate, validateReservation, authorizeClientOwner("reservations:create", "body", "clientId"), createReservation);
 
 /**
  * @swagger
  * /api/reservations/{id}:
  *   put:
  *     summary: Actualiza una reserva
+ *     description: Solo se pueden modificar el vehículo, el servicio, la fecha y las notas; el personal también puede cambiar el cliente. El único estado que se puede indicar es "No presentado" (solo administradores y mecánicos); los demás cambios de estado se hacen con `start`, `complete` y `cancel`.
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -309,25 +806,19 @@ router.post("/", validateReservation, createReservation);
  *             properties:
  *               clientId:
  *                 type: string
+ *                 description: Solo administradores y mecánicos
+ *               vehicleId:
+ *                 type: string
  *               vehicle:
  *                 type: string
  *                 minLength: 2
  *                 maxLength: 100
  *               service:
  *                 type: string
- *                 enum:
- *                   - Mantenimiento preventivo
- *                   - Cambio de aceite
- *                   - Revisión de frenos
- *                   - Alineación y balanceo
- *                   - Revisión de motor
- *                   - Cambio de llantas
- *                   - Revisión eléctrica
- *                   - Diagnóstico general
- *                   - Otros
+ *                 description: Nombre de un servicio activo del catálogo
  *               status:
  *                 type: string
- *                 enum: [Pendiente, En proceso, Completado, Cancelado]
+ *                 enum: [No presentado]
  *               scheduledDate:
  *                 type: string
  *                 format: date-time
@@ -352,19 +843,255 @@ router.post("/", validateReservation, createReservation);
  *                   $ref: '#/components/schemas/Reservation'
  *       400:
  *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       409:
+ *         description: La reserva no está pendiente ni en proceso, transición de estado no permitida, inasistencia antes de la hora programada, no hay bahías disponibles o el cliente o el vehículo ya tienen una reserva en ese horario
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorizeReservationOwner("reservations:update"), validateReservationUpdate, authorizeClientOwner("reservations:update", "body", "clientId"), authorizeStatusChange, updateReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/start:
+ *   patch:
+ *     summary: Inicia el trabajo de una reserva
+ *     description: Cambia el estado de "Pendiente" a "En proceso". Solo administradores y mecánicos.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     responses:
+ *       200:
+ *         description: Reserva iniciada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reserva iniciada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva no encontrada
+ *       409:
+ *         description: Transición de estado no permitida
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/start", authenticate, validateId, authorize("reservations:progress"), startReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/complete:
+ *   patch:
+ *     summary: Completa una reserva
+ *     description: Cambia el estado de "En proceso" a "Completado" y registra el trabajo realizado. Los repuestos con partId se descuentan del inventario. Solo administradores y mecánicos.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CompletionInput'
+ *     responses:
+ *       200:
+ *         description: Reserva completada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reserva completada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva o repuesto no encontrado
+ *       409:
+ *         description: Transición de estado no permitida, la reserva cambió de estado durante la petición, stock insuficiente o repuesto inactivo
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/complete", authenticate, validateId, authorize("reservations:progress"), validateCompleteReservation, completeReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/cancel:
+ *   patch:
+ *     summary: Cancela una reserva indicando el motivo
+ *     description: Cambia el estado de "Pendiente" o "En proceso" a "Cancelado".
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *             example:
+ *               reason: "El cliente no puede asistir"
+ *     responses:
+ *       200:
+ *         description: Reserva cancelada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reserva cancelada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso o la reserva ya está en proceso (solo el personal puede cancelarla)
  *       404:
  *         description: Reserva no encontrada
+ *       409:
+ *         description: Transición de estado no permitida
+ *       500:
+ *         description: Error del servidor
+ */
+router.patch("/:id/cancel", authenticate, validateId, authorizeReservationOwner("reservations:update"), validateCancelReservation, cancelReservation);
+
+/**
+ * @swagger
+ * /api/reservations/{id}/assign:
+ *   patch:
+ *     summary: Asigna o reasigna el técnico de una reserva
+ *     description: Solo administradores y mecánicos. El técnico debe tener rol de mecánico y no puede tener otro trabajo asignado en el mismo horario. Envíe technicianId null para quitar la asignación.
+ *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la reserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - technicianId
+ *             properties:
+ *               technicianId:
+ *                 type: string
+ *                 nullable: true
+ *             example:
+ *               technicianId: "60f7b1b3b3f3b3f3b3f3b3f5"
+ *     responses:
+ *       200:
+ *         description: Técnico asignado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Técnico asignado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: Errores de validación o el usuario no es mecánico
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Reserva o técnico no encontrado
+ *       409:
+ *         description: La reserva no está activa o el técnico tiene otro trabajo en ese horario
  *       500:
  *         description: Error del servidor
  */
-router.put("/:id", validateId, validateReservationUpdate, updateReservation);
+router.patch("/:id/assign", authenticate, validateId, authorize("reservations:assign"), validateAssignReservation, assignReservation);
 
 /**
  * @swagger
  * /api/reservations/{id}:
  *   delete:
  *     summary: Elimina una reserva
+ *     description: Solo administradores. Solo se eliminan reservas pendientes o canceladas sin cotizaciones, facturas ni movimientos de inventario; los clientes cancelan sus reservas con `PATCH /api/reservations/{id}/cancel`.
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -388,12 +1115,18 @@ router.put("/:id", validateId, validateReservationUpdate, updateReservation);
  *                   example: "Reserva eliminada exitosamente"
  *       400:
  *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Reserva no encontrada
+ *       409:
+ *         description: La reserva no está pendiente ni cancelada o tiene cotizaciones, facturas o movimientos de inventario
  *       500:
  *         description: Error del servidor
  */
-router.delete("/:id", validateId, deleteReservation);
+router.delete("/:id", authenticate, validateId, authorizeReservationOwner("reservations:delete"), deleteReservation);
 
 /**
  * @swagger
@@ -401,6 +1134,9 @@ router.delete("/:id", validateId, deleteReservation);
  *   get:
  *     summary: Obtiene todas las reservas de un cliente
  *     tags: [Reservas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: clientId
@@ -412,7 +1148,7 @@ router.delete("/:id", validateId, deleteReservation);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pendiente, En proceso, Completado, Cancelado]
+ *           enum: [Pendiente, En proceso, Completado, Cancelado, No presentado]
  *         description: Filtrar por estado
  *       - in: query
  *         name: page
@@ -459,11 +1195,15 @@ router.delete("/:id", validateId, deleteReservation);
  *                       type: boolean
  *       400:
  *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
  *       404:
  *         description: Cliente no encontrado
  *       500:
  *         description: Error del servidor
  */
-router.get("/client/:clientId", validateId, getReservationsByClient);
+router.get("/client/:clientId", authenticate, validateClientIdParam, authorizeClientOwner("reservations:list", "params", "clientId"), getReservationsByClient);
 
 export default router;
@@ -0,0 +1,319 @@
+import { Router } from "express";
+import {
+  getAllServices,
+  getServiceById,
+  createService,
+  updateService,
+  deleteService
+} from "../controllers/servicesController.js";
+import {
+  validateService,
+  validateServiceUpdate,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Service:
+ *       type: object
+ *       required:
+ *         - name
+ *         - basePrice
+ *         - estimatedDuration
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del servicio
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *           description: Nombre del servicio (único)
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           description: Descripción del servicio
+ *         basePrice:
+ *           type: number
+ *           minimum: 0
+ *           description: Precio base del servicio
+ *         estimatedDuration:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 600
+ *           description: Duración estimada en minutos
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Si el servicio puede reservarse
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3f7"
+ *         name: "Cambio de aceite"
+ *         description: "Cambio de aceite y filtro"
+ *         basePrice: 120000
+ *         estimatedDuration: 30
+ *         active: true
+ *         createdAt: "2023-07-20T10:00:00.000Z"
+ *         updatedAt: "2023-07-20T10:00:00.000Z"
+ *
+ *     ServiceInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - basePrice
+ *         - estimatedDuration
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         basePrice:
+ *           type: number
+ *           minimum: 0
+ *         estimatedDuration:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 600
+ *         active:
+ *           type: boolean
+ *       example:
+ *         name: "Cambio de aceite"
+ *         description: "Cambio de aceite y filtro"
+ *         basePrice: 120000
+ *         estimatedDuration: 30
+ */
+
+/**
+ * @swagger
+ * /api/services:
+ *   get:
+ *     summary: Obtiene el catálogo de servicios
+ *     description: Los clientes y mecánicos solo ven los servicios activos.
+ *     tags: [Servicios]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por estado (solo administradores)
+ *     responses:
+ *       200:
+ *         description: Servicios obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Service'
+ *       401:
+ *         description: No autenticado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, getAllServices);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   get:
+ *     summary: Obtiene un servicio por ID
+ *     tags: [Servicios]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id", authenticate, validateId, getServiceById);
+
+/**
+ * @swagger
+ * /api/services:
+ *   post:
+ *     summary: Crea un servicio en el catálogo
+ *     description: Solo disponible para administradores.
+ *     tags: [Servicios]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceInput'
+ *     responses:
+ *       201:
+ *         description: Servicio creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Servicio creado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Errores de validación o nombre ya registrado
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, authorize("services:manage"), validateService, createService);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   put:
+ *     summary: Actualiza un servicio
+ *     description: Solo disponible para administradores. Si cambia el nombre, las reservas existentes se actualizan con el nuevo nombre.
+ *     tags: [Servicios]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceInput'
+ *     responses:
+ *       200:
+ *         description: Servicio actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Servicio actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Service'
+ *       400:
+ *         description: Errores de validación o nombre ya registrado
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorize("services:manage"), validateServiceUpdate, updateService);
+
+/**
+ * @swagger
+ * /api/services/{id}:
+ *   delete:
+ *     summary: Elimina un servicio
+ *     description: Solo disponible para administradores. Un servicio con reservas no puede eliminarse, solo desactivarse.
+ *     tags: [Servicios]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del servicio
+ *     responses:
+ *       200:
+ *         description: Servicio eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Servicio eliminado exitosamente"
+ *       400:
+ *         description: ID no válido o servicio con reservas
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Servicio no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.delete("/:id", authenticate, validateId, authorize("services:manage"), deleteService);
+
+export default router;
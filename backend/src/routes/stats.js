@@ -0,0 +1,176 @@
+import { Router } from "express";
+import { getStats } from "../controllers/statsController.js";
+import { validateStats } from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/stats:
+ *   get:
+ *     summary: Obtiene las estadísticas del tablero
+ *     description: Solo disponible para administradores. Las reservas se filtran por fecha programada y los clientes nuevos por fecha de registro. Sin fechas se usan los últimos 30 días. Los periodos y las horas se calculan en la zona horaria del taller (WORKSHOP_TIMEZONE).
+ *     tags: [Estadísticas]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Fecha inicial del rango
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Fecha final del rango (por defecto, ahora)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Agrupación de las series por periodo (las semanas siguen la norma ISO, por ejemplo 2024-W51)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Número de clientes frecuentes a devolver
+ *     responses:
+ *       200:
+ *         description: Estadísticas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       type: object
+ *                       properties:
+ *                         startDate:
+ *                           type: string
+ *                           format: date-time
+ *                         endDate:
+ *                           type: string
+ *                           format: date-time
+ *                         groupBy:
+ *                           type: string
+ *                         timezone:
+ *                           type: string
+ *                     reservations:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         cancellationRate:
+ *                           type: number
+ *                           description: Proporción de reservas canceladas (0 a 1)
+ *                         noShowRate:
+ *                           type: number
+ *                           description: Proporción de reservas no presentadas (0 a 1)
+ *                         byStatus:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               status:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                         byService:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               service:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                               completed:
+ *                                 type: integer
+ *                         byPeriod:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               period:
+ *                                 type: string
+ *                                 example: "2024-12-20"
+ *                               count:
+ *                                 type: integer
+ *                               completed:
+ *                                 type: integer
+ *                               cancelled:
+ *                                 type: integer
+ *                         busiestHours:
+ *                           type: array
+ *                           description: Reservas atendidas por hora del día, de la más ocupada a la menos
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               hour:
+ *                                 type: integer
+ *                                 example: 9
+ *                               count:
+ *                                 type: integer
+ *                     clients:
+ *                       type: object
+ *                       properties:
+ *                         newClients:
+ *                           type: integer
+ *                         newClientsByPeriod:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               period:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                         topClients:
+ *                           type: array
+ *                           description: Clientes con dos o más reservas atendidas en el rango
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               client:
+ *                                 type: object
+ *                                 properties:
+ *                                   _id:
+ *                                     type: string
+ *                                   name:
+ *                                     type: string
+ *                                   email:
+ *                                     type: string
+ *                                   phone:
+ *                                     type: string
+ *                               reservations:
+ *                                 type: integer
+ *                               lastVisit:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         description: Errores de validación o rango de fechas no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorize("stats:read"), validateStats, getStats);
+
+export default router;
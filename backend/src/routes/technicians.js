@@ -0,0 +1,116 @@
+import { Router } from "express";
+import { getTechnicians, getTechnicianAgenda } from "../controllers/techniciansController.js";
+import { validateAgenda, validateId } from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/technicians:
+ *   get:
+ *     summary: Obtiene los mecánicos con su carga de trabajo
+ *     description: Solo administradores y mecánicos. Incluye el número de reservas pendientes o en proceso asignadas a cada mecánico.
+ *     tags: [Técnicos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Técnicos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       activeReservations:
+ *                         type: integer
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorize("technicians:read"), getTechnicians);
+
+/**
+ * @swagger
+ * /api/technicians/{id}/agenda:
+ *   get:
+ *     summary: Obtiene la agenda de un mecánico para un día
+ *     description: Solo administradores y mecánicos. Devuelve las reservas asignadas al mecánico ese día en orden cronológico.
+ *     tags: [Técnicos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del mecánico
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Día de la agenda (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Agenda obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     technician:
+ *                       type: object
+ *                     date:
+ *                       type: string
+ *                       example: "2024-12-20"
+ *                     scheduledMinutes:
+ *                       type: number
+ *                       description: Minutos de trabajo programados en el día
+ *                     reservations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: ID o fecha no válidos
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Técnico no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/agenda", authenticate, validateId, authorize("technicians:read"), validateAgenda, getTechnicianAgenda);
+
+export default router;
@@ -0,0 +1,421 @@
+import { Router } from "express";
+import {
+  getClientVehicles,
+  getVehicleById,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle
+} from "../controllers/vehiclesController.js";
+import { getVehicleHistory } from "../controllers/historyController.js";
+import {
+  validateVehicle,
+  validateVehicleUpdate,
+  validateVehicleIdParam,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorizeClientOwner } from "../middlewares/auth.js";
+
+// Rutas anidadas en /api/clients/:id/vehicles
+const router = Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Vehicle:
+ *       type: object
+ *       required:
+ *         - plate
+ *         - make
+ *         - model
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del vehículo
+ *         clientId:
+ *           type: string
+ *           description: ID del cliente dueño del vehículo
+ *         plate:
+ *           type: string
+ *           description: Placa del vehículo (única)
+ *         make:
+ *           type: string
+ *           maxLength: 50
+ *           description: Marca del vehículo
+ *         model:
+ *           type: string
+ *           maxLength: 50
+ *           description: Modelo del vehículo
+ *         year:
+ *           type: integer
+ *           minimum: 1900
+ *           description: Año del vehículo
+ *         vin:
+ *           type: string
+ *           minLength: 17
+ *           maxLength: 17
+ *           description: Número de identificación vehicular (único)
+ *         mileage:
+ *           type: integer
+ *           minimum: 0
+ *           description: Kilometraje actual
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3f6"
+ *         clientId: "60f7b1b3b3f3b3f3b3f3b3f3"
+ *         plate: "ABC123"
+ *         make: "Toyota"
+ *         model: "Corolla"
+ *         year: 2020
+ *         vin: "JTDBR32E720123456"
+ *         mileage: 45000
+ *         createdAt: "2023-07-20T10:00:00.000Z"
+ *         updatedAt: "2023-07-20T10:00:00.000Z"
+ *
+ *     VehicleInput:
+ *       type: object
+ *       required:
+ *         - plate
+ *         - make
+ *         - model
+ *       properties:
+ *         plate:
+ *           type: string
+ *         make:
+ *           type: string
+ *           maxLength: 50
+ *         model:
+ *           type: string
+ *           maxLength: 50
+ *         year:
+ *           type: integer
+ *           minimum: 1900
+ *         vin:
+ *           type: string
+ *           minLength: 17
+ *           maxLength: 17
+ *         mileage:
+ *           type: integer
+ *           minimum: 0
+ *       example:
+ *         plate: "ABC123"
+ *         make: "Toyota"
+ *         model: "Corolla"
+ *         year: 2020
+ *         vin: "JTDBR32E720123456"
+ *         mileage: 45000
+ */
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles:
+ *   get:
+ *     summary: Obtiene los vehículos de un cliente
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *     responses:
+ *       200:
+ *         description: Vehículos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, validateId, authorizeClientOwner("vehicles:read"), getClientVehicles);
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles/{vehicleId}:
+ *   get:
+ *     summary: Obtiene un vehículo de un cliente
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del vehículo
+ *     responses:
+ *       200:
+ *         description: Vehículo obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Vehículo no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:vehicleId", authenticate, validateId, validateVehicleIdParam, authorizeClientOwner("vehicles:read"), getVehicleById);
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles/{vehicleId}/history:
+ *   get:
+ *     summary: Obtiene el historial de mantenimiento de un vehículo
+ *     description: Devuelve el vehículo y sus reservas completadas en orden cronológico.
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del vehículo
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       $ref: '#/components/schemas/Vehicle'
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Vehículo no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:vehicleId/history", authenticate, validateId, validateVehicleIdParam, authorizeClientOwner("vehicles:read"), getVehicleHistory);
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles:
+ *   post:
+ *     summary: Registra un vehículo para un cliente
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VehicleInput'
+ *     responses:
+ *       201:
+ *         description: Vehículo registrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Vehículo registrado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: Errores de validación, placa o VIN ya registrados
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, validateId, authorizeClientOwner("vehicles:create"), validateVehicle, createVehicle);
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles/{vehicleId}:
+ *   put:
+ *     summary: Actualiza un vehículo
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del vehículo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VehicleInput'
+ *     responses:
+ *       200:
+ *         description: Vehículo actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Vehículo actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Vehicle'
+ *       400:
+ *         description: Errores de validación, placa o VIN ya registrados
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Vehículo no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:vehicleId", authenticate, validateId, validateVehicleIdParam, authorizeClientOwner("vehicles:update"), validateVehicleUpdate, updateVehicle);
+
+/**
+ * @swagger
+ * /api/clients/{id}/vehicles/{vehicleId}:
+ *   delete:
+ *     summary: Elimina un vehículo
+ *     tags: [Vehículos]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del cliente
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del vehículo
+ *     responses:
+ *       200:
+ *         description: Vehículo eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Vehículo eliminado exitosamente"
+ *       400:
+ *         description: ID no válido o vehículo con reservas activas
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Vehículo no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.delete("/:vehicleId", authenticate, validateId, validateVehicleIdParam, authorizeClientOwner("vehicles:delete"), deleteVehicle);
+
+export default router;
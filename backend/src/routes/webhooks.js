@@ -0,0 +1,525 @@
+import { Router } from "express";
+import {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook,
+  retryWebhookDelivery
+} from "../controllers/webhooksController.js";
+import {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateId
+} from "../middlewares/validation.js";
+import { authenticate, authorize } from "../middlewares/auth.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único del webhook
+ *         url:
+ *           type: string
+ *           description: URL a la que se envían los eventos
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [reservation.created, reservation.updated, reservation.rescheduled, reservation.status_changed, reservation.started, reservation.completed, reservation.cancelled, reservation.deleted, reservation.reminder, reservation.no_show, client.created, client.updated, client.deleted]
+ *           description: Eventos a los que está suscrito
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *           description: Descripción del webhook
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Si el webhook recibe eventos
+ *         createdBy:
+ *           type: string
+ *           description: ID del administrador que lo registró
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de creación
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de última actualización
+ *       example:
+ *         _id: "60f7b1b3b3f3b3f3b3f3b3fa"
+ *         url: "https://crm.ejemplo.com/hooks/part-plus"
+ *         events: ["reservation.created", "reservation.status_changed", "client.deleted"]
+ *         description: "Sincronización con el CRM"
+ *         active: true
+ *
+ *     WebhookInput:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         url:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           maxLength: 200
+ *           description: Secreto para firmar las entregas (se genera uno si no se indica)
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         active:
+ *           type: boolean
+ *       example:
+ *         url: "https://crm.ejemplo.com/hooks/part-plus"
+ *         events: ["reservation.created", "reservation.status_changed", "client.deleted"]
+ *         description: "Sincronización con el CRM"
+ *
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: ID único de la entrega (se envía en el cuerpo y en X-PartPlus-Delivery)
+ *         subscriptionId:
+ *           type: string
+ *           description: ID del webhook
+ *         event:
+ *           type: string
+ *           description: Evento entregado
+ *         payload:
+ *           type: object
+ *           description: Datos del evento
+ *         status:
+ *           type: string
+ *           enum: [Pendiente, Enviando, Entregado, Fallido]
+ *           description: Estado de la entrega
+ *         attempts:
+ *           type: integer
+ *           description: Intentos realizados
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del próximo intento
+ *         responseStatus:
+ *           type: integer
+ *           description: Código HTTP de la última respuesta del receptor
+ *         responseBody:
+ *           type: string
+ *           description: Cuerpo de la última respuesta del receptor (recortado)
+ *         lastError:
+ *           type: string
+ *           description: Error del último intento
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de entrega
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha en la que ocurrió el evento
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Obtiene los webhooks registrados
+ *     description: Solo disponible para administradores. El secreto nunca se incluye en la respuesta.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filtrar por evento suscrito
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por estado
+ *     responses:
+ *       200:
+ *         description: Webhooks obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/", authenticate, authorize("webhooks:manage"), getAllWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Obtiene un webhook por ID
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del webhook
+ *     responses:
+ *       200:
+ *         description: Webhook obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Webhook no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id", authenticate, validateId, authorize("webhooks:manage"), getWebhookById);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Registra un webhook
+ *     description: Solo disponible para administradores. Si no se indica un secreto se genera uno; el secreto solo se muestra en esta respuesta.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook creado exitosamente"
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Webhook'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           description: Secreto con el que se firman las entregas
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/", authenticate, authorize("webhooks:manage"), validateWebhook, createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Actualiza un webhook
+ *     description: Solo disponible para administradores. Permite cambiar la URL, los eventos, el secreto o desactivar el webhook.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del webhook
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook actualizado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: ID no válido o errores de validación
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Webhook no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.put("/:id", authenticate, validateId, authorize("webhooks:manage"), validateWebhookUpdate, updateWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Elimina un webhook
+ *     description: Solo disponible para administradores. También elimina su registro de entregas.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del webhook
+ *     responses:
+ *       200:
+ *         description: Webhook eliminado exitosamente
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Webhook no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.delete("/:id", authenticate, validateId, authorize("webhooks:manage"), deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Obtiene el registro de entregas de un webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del webhook
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pendiente, Enviando, Entregado, Fallido]
+ *         description: Filtrar por estado
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filtrar por evento
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Número de entregas por página
+ *     responses:
+ *       200:
+ *         description: Entregas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Webhook no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.get("/:id/deliveries", authenticate, validateId, authorize("webhooks:manage"), getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Envía un evento de prueba al webhook
+ *     description: "Solo disponible para administradores. Envía de inmediato el evento webhook.ping y devuelve el resultado de la entrega (código y respuesta del receptor)."
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del webhook
+ *     responses:
+ *       200:
+ *         description: Resultado de la entrega de prueba
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Evento de prueba entregado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Webhook no encontrado
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/:id/test", authenticate, validateId, authorize("webhooks:manage"), testWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/retry:
+ *   post:
+ *     summary: Reenvía una entrega pendiente o fallida
+ *     description: Solo disponible para administradores. La entrega se envía de inmediato; si vuelve a fallar, una entrega fallida no se reintenta de nuevo automáticamente.
+ *     tags: [Webhooks]
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la entrega
+ *     responses:
+ *       200:
+ *         description: Resultado del reenvío
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Entrega reenviada exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: ID no válido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No tienes permiso para acceder a este recurso
+ *       404:
+ *         description: Entrega no encontrada
+ *       409:
+ *         description: La entrega ya fue enviada o se está enviando
+ *       500:
+ *         description: Error del servidor
+ */
+router.post("/deliveries/:id/retry", authenticate, validateId, authorize("webhooks:manage"), retryWebhookDelivery);
+
+export default router;
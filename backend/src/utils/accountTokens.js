@@ -0,0 +1,19 @@
+import crypto from "crypto";
+import { config } from "../config.js";
+
+// Calcular el hash de un token de cuenta
+// Solo se guarda el hash; el token en claro viaja únicamente en el enlace del correo
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Generar un token de un solo uso que vence en los minutos indicados
+export const createAccountToken = (ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60000)
+  };
+};
+
+// Enlace de la aplicación web que recibe el token (por ejemplo, /reset-password?token=...)
+export const buildAccountLink = (path, token) => `${config.accounts.appUrl}${path}?token=${token}`;
@@ -0,0 +1,20 @@
+import { config } from "../config.js";
+
+// Redondear un valor a dos decimales
+const round = (value) => Math.round(value * 100) / 100;
+
+// Calcular el total de cada ítem y los totales del documento
+export const calculateTotals = (items, taxRate = config.billing.taxRate) => {
+  items.forEach((item) => {
+    item.total = round(item.quantity * item.unitPrice);
+  });
+
+  const subtotal = round(items.reduce((sum, item) => sum + item.total, 0));
+  const tax = round(subtotal * taxRate);
+
+  return {
+    subtotal,
+    tax,
+    total: round(subtotal + tax)
+  };
+};
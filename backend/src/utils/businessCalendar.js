@@ -0,0 +1,99 @@
+import Closure from "../models/Closure.js";
+import { config } from "../config.js";
+
+const { timezone } = config.workshop;
+
+// Componentes de una fecha en la zona horaria del taller
+const zoneFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: timezone,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit"
+});
+
+const getZonedParts = (date) => {
+  const parts = {};
+  for (const { type, value } of zoneFormatter.formatToParts(date)) {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+// Diferencia en milisegundos entre la hora del taller y UTC en un instante
+const getZoneOffset = (date) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Obtener el día de una fecha en la zona horaria del taller (formato YYYY-MM-DD)
+export const formatDay = (date) => {
+  const { year, month, day } = getZonedParts(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// Obtener el día de la semana de una fecha en la zona horaria del taller (0 = domingo)
+const getWeekday = (date) => new Date(`${formatDay(date)}T00:00:00Z`).getUTCDay();
+
+// Obtener la fecha de un día (YYYY-MM-DD) a la hora indicada (HH:mm) en la zona horaria del taller
+// La diferencia con UTC se calcula dos veces por si la hora cae en un cambio de horario
+const atTime = (day, time) => {
+  const wallClock = new Date(`${day}T${time}:00Z`).getTime();
+  const firstGuess = wallClock - getZoneOffset(new Date(wallClock));
+  return new Date(wallClock - getZoneOffset(new Date(firstGuess)));
+};
+
+// Obtener el inicio y el fin de un día (YYYY-MM-DD) en la zona horaria del taller
+export const getDayBounds = (day) => {
+  const nextDay = new Date(`${day}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return {
+    start: atTime(day, "00:00"),
+    end: atTime(nextDay.toISOString().slice(0, 10), "00:00")
+  };
+};
+
+// Obtener el horario de atención de un día según el día de la semana
+// Devuelve null si el taller no atiende ese día
+export const getOpeningHours = (date) => {
+  const hours = config.workshop.schedule[getWeekday(date)];
+  if (!hours) {
+    return null;
+  }
+  const day = formatDay(date);
+  return {
+    opening: atTime(day, hours.open),
+    closing: atTime(day, hours.close)
+  };
+};
+
+// Obtener el cierre o festivo registrado para un día
+export const findClosure = (day) => {
+  return Closure.findOne({ date: formatDay(day) });
+};
+
+// Verificar que un servicio quede dentro del horario de atención
+// Devuelve el mensaje de error o null si el horario es válido
+export const checkBusinessHours = async (start, end) => {
+  const closure = await findClosure(start);
+  if (closure) {
+    return `El taller está cerrado el ${closure.date} (${closure.name})`;
+  }
+
+  const hours = getOpeningHours(start);
+  if (!hours) {
+    return "El taller no atiende el día seleccionado";
+  }
+
+  if (start < hours.opening || end > hours.closing) {
+    const { open, close } = config.workshop.schedule[getWeekday(start)];
+    return `La reserva debe estar dentro del horario de atención (${open} - ${close})`;
+  }
+
+  return null;
+};
@@ -0,0 +1,131 @@
+import express from "express";
+import mongoose from "mongoose";
+import { parse } from "csv-parse/sync";
+import { validationResult } from "express-validator";
+import { config } from "../config.js";
+
+// Código de MongoDB para claves únicas repetidas
+const DUPLICATE_KEY = 11000;
+
+// Recibir el archivo CSV como texto en el cuerpo de la petición
+export const csvBody = express.text({
+  type: ["text/csv", "text/plain"],
+  limit: config.import.maxFileSize
+});
+
+// Leer un CSV con encabezados
+// Devuelve cada fila con su número de línea en el archivo; las celdas vacías se omiten
+export const parseCsv = (text) => {
+  try {
+    const records = parse(text, {
+      columns: (header) => header.map((column) => column.trim()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      info: true
+    });
+
+    return records.map(({ record, info }) => ({
+      row: info.lines,
+      data: Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ""))
+    }));
+  } catch (error) {
+    const parseError = new Error(`El archivo CSV no es válido: ${error.message}`);
+    parseError.statusCode = 400;
+    throw parseError;
+  }
+};
+
+// Validar una fila con las mismas reglas de express-validator del endpoint de creación
+// Devuelve los datos ya saneados (por ejemplo, el email normalizado) y los errores
+export const validateRow = async (rules, data) => {
+  const req = { body: { ...data } };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path, message: error.msg }));
+
+  return { data: req.body, errors };
+};
+
+// Dividir una lista en lotes
+export const toBatches = (items, size = config.import.batchSize) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+};
+
+// Validar los documentos de un lote con el esquema del modelo
+// Devuelve las filas válidas y agrega las demás a los errores del reporte
+const validateBatch = async (Model, batch, report) => {
+  const validRows = [];
+  for (const row of batch) {
+    try {
+      // Se valida como documento para aplicar los valores por defecto del esquema
+      await new Model(row.doc).validate();
+      validRows.push(row);
+    } catch (error) {
+      report.errors.push({
+        row: row.row,
+        errors: Object.values(error.errors || {}).map(({ path, message }) => ({ field: path, message }))
+      });
+    }
+  }
+  return validRows;
+};
+
+// Insertar las filas válidas por lotes y completar el reporte
+// Una fila que falla no detiene el resto de su lote (ordered: false)
+export const insertInBatches = async (Model, rows, report, describeDuplicate) => {
+  for (const rowsInBatch of toBatches(rows)) {
+    // insertMany descarta en silencio los documentos que no pasan la validación y entonces
+    // el índice de cada error ya no coincide con la fila; por eso solo se envían documentos válidos
+    const batch = await validateBatch(Model, rowsInBatch, report);
+    if (!batch.length) {
+      continue;
+    }
+
+    // Los IDs se asignan antes de insertar para saber qué filas se guardaron
+    batch.forEach((row) => {
+      row.doc._id = new mongoose.Types.ObjectId();
+    });
+
+    let insertedDocs;
+    let writeErrors = [];
+    try {
+      insertedDocs = await Model.insertMany(batch.map((row) => row.doc), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      insertedDocs = error.insertedDocs || [];
+      writeErrors = error.writeErrors;
+    }
+
+    const insertedIds = new Set(insertedDocs.map((doc) => doc._id.toString()));
+    const errorsByIndex = new Map(writeErrors.map((writeError) => [writeError.index, writeError]));
+
+    batch.forEach((row, index) => {
+      if (insertedIds.has(row.doc._id.toString())) {
+        report.imported += 1;
+        return;
+      }
+
+      const writeError = errorsByIndex.get(index);
+      const code = writeError?.err?.code ?? writeError?.code;
+      if (code === DUPLICATE_KEY && describeDuplicate) {
+        report.duplicates.push({ row: row.row, ...describeDuplicate(row.doc), reason: "Ya registrado" });
+      } else {
+        report.errors.push({
+          row: row.row,
+          errors: [{ message: writeError?.err?.errmsg || "No se pudo guardar la fila" }]
+        });
+      }
+    });
+  }
+};
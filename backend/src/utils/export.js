@@ -0,0 +1,102 @@
+import ExcelJS from "exceljs";
+
+// Formatos de exportación disponibles
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Valores que una hoja de cálculo interpretaría como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Obtener el valor de una columna para un documento
+const cellValue = (column, document) => {
+  const value = column.value(document);
+  return value === undefined || value === null ? "" : value;
+};
+
+// Escapar un valor para CSV y neutralizar las fórmulas (inyección CSV)
+const toCsvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Escribir respetando la contrapresión de la respuesta
+// Si el buffer está lleno se espera a que se vacíe o a que el cliente se desconecte
+const write = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+// Escribir los documentos del cursor como CSV
+// Se incluye el BOM para que Excel reconozca los acentos
+const writeCsv = async (res, columns, cursor) => {
+  await write(res, `\uFEFF${columns.map((column) => toCsvCell(column.header)).join(",")}\r\n`);
+
+  for await (const document of cursor) {
+    if (res.destroyed) {
+      break;
+    }
+    const row = columns.map((column) => toCsvCell(cellValue(column, document)));
+    await write(res, `${row.join(",")}\r\n`);
+  }
+
+  res.end();
+};
+
+// Escribir los documentos del cursor como un libro de Excel
+// El libro se escribe por partes, así que cada fila se libera de la memoria al confirmarla
+const writeXlsx = async (res, columns, cursor, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const document of cursor) {
+    if (res.destroyed) {
+      break;
+    }
+    const row = {};
+    columns.forEach((column) => {
+      row[column.key] = cellValue(column, document);
+    });
+    worksheet.addRow(row).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Enviar como archivo los documentos de un cursor de Mongoose sin cargarlos todos en memoria
+// columns: [{ header, key, width, value: (documento) => valor }]
+export const streamExport = async (res, { format, filename, sheetName, columns, cursor }) => {
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+  // Dejar de leer la base de datos si el cliente cancela la descarga
+  res.on("close", () => {
+    cursor.close().catch(() => {});
+  });
+
+  if (format === "xlsx") {
+    await writeXlsx(res, columns, cursor, sheetName);
+  } else {
+    await writeCsv(res, columns, cursor);
+  }
+};
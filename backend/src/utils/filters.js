@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { hasPermission } from "../permissions.js";
+
+// Error de filtro no válido (responde con 400)
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Construir los filtros del listado de clientes a partir de la consulta
+export const buildClientFilters = ({ name, email }) => {
+  const filters = {};
+  if (name) {
+    filters.name = { $regex: name, $options: "i" };
+  }
+  if (email) {
+    filters.email = { $regex: email, $options: "i" };
+  }
+  return filters;
+};
+
+// Construir los filtros del listado de reservas a partir de la consulta
+// Un cliente sin permisos de personal solo puede ver sus propias reservas
+export const buildReservationFilters = ({ clientId, status, assignedTo, service, startDate, endDate }, requester) => {
+  const filters = {};
+
+  if (clientId) {
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      throw invalidFilter("ID de cliente no válido");
+    }
+    filters.clientId = clientId;
+  }
+
+  if (!hasPermission(requester.role, "reservations:list")) {
+    filters.clientId = requester._id;
+  }
+
+  if (status) {
+    filters.status = status;
+  }
+
+  if (assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+      throw invalidFilter("ID de técnico no válido");
+    }
+    filters.assignedTo = assignedTo;
+  }
+
+  if (service) {
+    filters.service = { $regex: service, $options: "i" };
+  }
+
+  // Filtro por rango de fechas
+  if (startDate || endDate) {
+    filters.scheduledDate = {};
+    if (startDate) {
+      filters.scheduledDate.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filters.scheduledDate.$lte = new Date(endDate);
+    }
+  }
+
+  return filters;
+};
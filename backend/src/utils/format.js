@@ -0,0 +1,17 @@
+import { config } from "../config.js";
+
+const LOCALE = "es-CO";
+
+// Formatear un valor en la moneda configurada
+export const formatMoney = (value) =>
+  new Intl.NumberFormat(LOCALE, { style: "currency", currency: config.billing.currency }).format(value || 0);
+
+// Formatear una fecha en la zona horaria del taller
+export const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleString(LOCALE, {
+        dateStyle: "long",
+        timeStyle: "short",
+        timeZone: config.workshop.timezone
+      })
+    : "—";
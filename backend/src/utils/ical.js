@@ -0,0 +1,98 @@
+const COMPANY_NAME = "Part Plus";
+
+const PRODUCT_ID = "-//Part Plus//Reservas//ES";
+
+// Tipo de contenido de los archivos iCalendar
+export const ICS_CONTENT_TYPE = "text/calendar; charset=utf-8";
+
+// Las líneas de un archivo iCalendar no deben superar 75 bytes (RFC 5545)
+const MAX_LINE_BYTES = 75;
+
+// Formatear una fecha en UTC (20300725T150000Z)
+const formatIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Escapar un texto para una propiedad iCalendar
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Partir una línea larga en varias, sin cortar un carácter de varios bytes
+// Las líneas de continuación empiezan con un espacio
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? MAX_LINE_BYTES - 1 : MAX_LINE_BYTES;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// Estados en los que la cita no se realizó y el evento se marca como cancelado en el calendario
+const CANCELLED_STATUSES = ["Cancelado", "No presentado"];
+
+// Convertir una reserva en las líneas de un VEVENT
+// UID y SEQUENCE permiten que la aplicación de calendario actualice el mismo evento al reprogramarlo o cancelarlo
+const buildEvent = (reservation, now) => {
+  const client = reservation.clientId || {};
+  const description = [
+    ["Cliente", client.name],
+    ["Teléfono", client.phone],
+    ["Vehículo", reservation.vehicle],
+    ["Estado", reservation.status],
+    ["Notas", reservation.notes]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join("\n");
+
+  const start = new Date(reservation.scheduledDate);
+  const end = reservation.endDate ? new Date(reservation.endDate) : start;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:reservation-${reservation._id}@partplus`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SEQUENCE:${reservation.icsSequence || 0}`,
+    `STATUS:${CANCELLED_STATUSES.includes(reservation.status) ? "CANCELLED" : "CONFIRMED"}`,
+    `SUMMARY:${escapeText(`${reservation.service} - ${COMPANY_NAME}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(reservation.updatedAt ? [`LAST-MODIFIED:${formatIcsDate(reservation.updatedAt)}`] : []),
+    "END:VEVENT"
+  ];
+};
+
+// Construir un archivo iCalendar con una o varias reservas
+// Las reservas deben tener el cliente populado para incluir sus datos en la descripción
+export const buildCalendar = (reservations, { name = COMPANY_NAME } = {}) => {
+  const now = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...reservations.flatMap((reservation) => buildEvent(reservation, now)),
+    "END:VCALENDAR"
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
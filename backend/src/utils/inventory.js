@@ -0,0 +1,89 @@
+import Part from "../models/Part.js";
+import StockMovement from "../models/StockMovement.js";
+
+// Registrar un movimiento y actualizar el stock del repuesto de forma atómica
+// quantity es positiva para entradas y negativa para salidas
+// Con activeOnly el movimiento se rechaza si el repuesto está inactivo
+export const applyStockMovement = async ({ partId, type, quantity, reservationId, reason, createdBy, activeOnly = false }) => {
+  // La condición sobre el stock evita que dos salidas simultáneas lo dejen negativo
+  const filter = { _id: partId };
+  if (quantity < 0) {
+    filter.stock = { $gte: -quantity };
+  }
+  if (activeOnly) {
+    filter.active = true;
+  }
+
+  const part = await Part.findOneAndUpdate(filter, { $inc: { stock: quantity } }, { new: true });
+
+  if (!part) {
+    const existingPart = await Part.findById(partId).select("name stock active");
+    let error;
+    if (!existingPart) {
+      error = new Error("Repuesto no encontrado");
+      error.statusCode = 404;
+    } else if (activeOnly && !existingPart.active) {
+      error = new Error(`El repuesto ${existingPart.name} está inactivo`);
+      error.statusCode = 409;
+    } else {
+      error = new Error(`Stock insuficiente para el repuesto ${existingPart.name} (disponible: ${existingPart.stock})`);
+      error.statusCode = 409;
+    }
+    throw error;
+  }
+
+  const movement = await StockMovement.create({
+    partId,
+    type,
+    quantity,
+    stockAfter: part.stock,
+    reservationId,
+    reason,
+    createdBy
+  });
+
+  return { part, movement };
+};
+
+// Revertir movimientos ya aplicados
+const revertMovements = async (movements) => {
+  for (const movement of movements) {
+    await Part.updateOne({ _id: movement.partId }, { $inc: { stock: -movement.quantity } });
+    await movement.deleteOne();
+  }
+};
+
+// Descontar del inventario los repuestos usados en una reserva
+// Los repuestos sin partId no están en el inventario y se registran solo como texto
+// Los repuestos inactivos ya no se pueden usar en un trabajo
+// Devuelve una función que revierte los descuentos si la reserva no llega a guardarse
+export const consumeParts = async (partsUsed, reservationId, createdBy) => {
+  const movements = [];
+
+  try {
+    for (const partUsed of partsUsed) {
+      if (!partUsed.partId) {
+        continue;
+      }
+
+      const { part, movement } = await applyStockMovement({
+        partId: partUsed.partId,
+        type: "Salida",
+        quantity: -partUsed.quantity,
+        reservationId,
+        createdBy,
+        activeOnly: true
+      });
+      movements.push(movement);
+
+      // Completar los datos del repuesto a partir del inventario
+      partUsed.name = partUsed.name || part.name;
+      partUsed.partNumber = partUsed.partNumber || part.sku;
+    }
+  } catch (error) {
+    await revertMovements(movements);
+    throw error;
+  }
+
+  return () => revertMovements(movements);
+};
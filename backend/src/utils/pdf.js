@@ -0,0 +1,135 @@
+import PDFDocument from "pdfkit";
+import { formatMoney, formatDate } from "./format.js";
+
+const COMPANY_NAME = "Part Plus";
+
+// Crear el documento con el encabezado de la empresa
+const createDocument = (title) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: title, Author: COMPANY_NAME } });
+
+  doc.fontSize(20).font("Helvetica-Bold").text(COMPANY_NAME);
+  doc.fontSize(10).font("Helvetica").fillColor("#555555").text("Servicios vehiculares");
+  doc.moveDown(1.5);
+  doc.fillColor("#000000").fontSize(16).font("Helvetica-Bold").text(title);
+  doc.moveDown();
+
+  return doc;
+};
+
+// Escribir una lista de pares etiqueta/valor
+const writeFields = (doc, fields) => {
+  doc.fontSize(11);
+  fields.forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+    doc.font("Helvetica").text(value ?? "—");
+  });
+  doc.moveDown();
+};
+
+// Escribir la tabla de ítems y los totales
+const writeItems = (doc, document) => {
+  const columns = { description: 50, quantity: 300, unitPrice: 360, total: 460 };
+  const drawRow = (values, font) => {
+    const y = doc.y;
+    doc.font(font).fontSize(10);
+    doc.text(values[0], columns.description, y, { width: 240 });
+    const rowBottom = doc.y;
+    doc.text(values[1], columns.quantity, y, { width: 50, align: "right" });
+    doc.text(values[2], columns.unitPrice, y, { width: 90, align: "right" });
+    doc.text(values[3], columns.total, y, { width: 85, align: "right" });
+    doc.y = Math.max(rowBottom, doc.y) + 4;
+  };
+
+  drawRow(["Descripción", "Cant.", "Valor unitario", "Total"], "Helvetica-Bold");
+  document.items.forEach((item) => {
+    drawRow([
+      `${item.description} (${item.type})`,
+      String(item.quantity),
+      formatMoney(item.unitPrice),
+      formatMoney(item.total)
+    ], "Helvetica");
+  });
+
+  doc.moveDown();
+  [
+    ["Subtotal", formatMoney(document.subtotal)],
+    [`Impuesto (${Math.round(document.taxRate * 100)} %)`, formatMoney(document.tax)],
+    ["Total", formatMoney(document.total)]
+  ].forEach(([label, value], index, rows) => {
+    const y = doc.y;
+    doc.font(index === rows.length - 1 ? "Helvetica-Bold" : "Helvetica").fontSize(11);
+    doc.text(label, 300, y, { width: 150, align: "right" });
+    doc.text(value, columns.total, y, { width: 85, align: "right" });
+  });
+  doc.x = 50;
+  doc.moveDown();
+};
+
+// Generar la confirmación de una reserva con el cliente populado
+export const renderReservationConfirmation = (reservation, stream) => {
+  const doc = createDocument("Confirmación de reserva");
+  doc.pipe(stream);
+
+  const client = reservation.clientId || {};
+
+  writeFields(doc, [
+    ["Reserva", reservation._id.toString()],
+    ["Estado", reservation.status]
+  ]);
+  writeFields(doc, [
+    ["Cliente", client.name],
+    ["Teléfono", client.phone],
+    ["Email", client.email]
+  ]);
+  writeFields(doc, [
+    ["Vehículo", reservation.vehicle],
+    ["Servicio", reservation.service],
+    ["Fecha", formatDate(reservation.scheduledDate)],
+    ["Finalización estimada", formatDate(reservation.endDate)]
+  ]);
+
+  if (reservation.notes) {
+    writeFields(doc, [["Notas", reservation.notes]]);
+  }
+
+  doc.fontSize(9).fillColor("#555555")
+    .text("Por favor llegue 10 minutos antes de la hora programada. Presente este documento al llegar al taller.");
+
+  doc.end();
+};
+
+// Generar una factura con el cliente y la reserva populados
+export const renderInvoice = (invoice, stream) => {
+  const doc = createDocument(invoice.number ? `Factura ${invoice.number}` : "Factura (borrador)");
+  doc.pipe(stream);
+
+  const client = invoice.clientId || {};
+  const reservation = invoice.reservationId || {};
+
+  writeFields(doc, [
+    ["Estado", invoice.status],
+    ["Fecha de emisión", formatDate(invoice.issuedAt)],
+    ...(invoice.paidAt ? [["Fecha de pago", formatDate(invoice.paidAt)]] : [])
+  ]);
+  writeFields(doc, [
+    ["Cliente", client.name],
+    ["Teléfono", client.phone],
+    ["Email", client.email]
+  ]);
+  writeFields(doc, [
+    ["Vehículo", reservation.vehicle],
+    ["Servicio", reservation.service],
+    ["Fecha del servicio", formatDate(reservation.scheduledDate)]
+  ]);
+
+  writeItems(doc, invoice);
+
+  if (invoice.notes) {
+    writeFields(doc, [["Notas", invoice.notes]]);
+  }
+  if (invoice.status === "Anulada") {
+    writeFields(doc, [["Factura anulada", invoice.voidReason]]);
+  }
+
+  doc.end();
+};
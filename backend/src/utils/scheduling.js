@@ -0,0 +1,179 @@
+import { model } from "mongoose";
+import Service from "../models/Service.js";
+import { config } from "../config.js";
+import { getOpeningHours, findClosure } from "./businessCalendar.js";
+
+// Obtener la duración en minutos de un servicio según el catálogo
+export const getServiceDuration = async (service) => {
+  const catalogService = await Service.findOne({ name: service }).select("estimatedDuration");
+  return catalogService?.estimatedDuration || config.workshop.defaultServiceDuration;
+};
+
+// Calcular la fecha de finalización de un servicio
+export const getEndDate = async (scheduledDate, service) => {
+  const duration = await getServiceDuration(service);
+  return new Date(new Date(scheduledDate).getTime() + duration * 60000);
+};
+
+// Buscar las reservas activas que se cruzan con un intervalo
+export const findOverlappingReservations = (start, end, excludeId) => {
+  const filters = {
+    status: { $nin: ["Cancelado", "No presentado"] },
+    scheduledDate: { $lt: end },
+    endDate: { $gt: start }
+  };
+  if (excludeId) {
+    filters._id = { $ne: excludeId };
+  }
+  return model("Reservation").find(filters).select("clientId vehicleId assignedTo scheduledDate endDate");
+};
+
+// Buscar el primer tramo del intervalo en el que todas las bahías están ocupadas
+export const findFullSlot = (reservations, start, end, bays = config.workshop.bays) => {
+  const events = [];
+  reservations.forEach((reservation) => {
+    events.push({ time: Math.max(reservation.scheduledDate, start), delta: 1 });
+    events.push({ time: Math.min(reservation.endDate, end), delta: -1 });
+  });
+
+  events.sort((a, b) => a.time - b.time);
+
+  let occupied = 0;
+  let slotStart = null;
+  let fullSlot = null;
+  events.forEach((event, index) => {
+    occupied += event.delta;
+
+    // Evaluar la ocupación solo después de aplicar todos los eventos del mismo instante
+    const next = events[index + 1];
+    if (next && next.time === event.time) {
+      return;
+    }
+
+    if (occupied >= bays && slotStart === null) {
+      slotStart = event.time;
+    } else if (occupied < bays && slotStart !== null && !fullSlot) {
+      fullSlot = { start: new Date(slotStart), end: new Date(event.time) };
+    }
+  });
+  return fullSlot;
+};
+
+// Buscar entre las reservas la que ya tiene asignado al técnico
+const findTechnicianReservation = (reservations, technicianId) => {
+  const reservation = reservations.find(
+    (reservation) => reservation.assignedTo?.toString() === technicianId.toString()
+  );
+  if (!reservation) {
+    return null;
+  }
+  return {
+    message: "El técnico ya tiene un trabajo asignado en ese horario",
+    slot: {
+      start: reservation.scheduledDate,
+      end: reservation.endDate,
+      reservationId: reservation._id
+    }
+  };
+};
+
+// Verificar que un técnico no tenga otro trabajo asignado durante una reserva
+// Devuelve null si no hay conflicto
+export const findTechnicianConflict = async (reservation, technicianId) => {
+  const end = reservation.endDate || await getEndDate(reservation.scheduledDate, reservation.service);
+  const overlapping = await findOverlappingReservations(reservation.scheduledDate, end, reservation._id);
+  return findTechnicianReservation(overlapping, technicianId);
+};
+
+// Verificar que una reserva no choque con la capacidad del taller ni con otra reserva
+// del mismo cliente, vehículo o técnico asignado. Devuelve null si no hay conflicto
+// pending son reservas que aún no están guardadas (por ejemplo, las filas ya aceptadas de una importación)
+export const findSchedulingConflict = async ({ scheduledDate, service, clientId, vehicleId, assignedTo, excludeId, pending = [] }) => {
+  const start = new Date(scheduledDate);
+  const end = await getEndDate(start, service);
+  const overlapping = [
+    ...(await findOverlappingReservations(start, end, excludeId)),
+    ...pending.filter((reservation) => reservation.scheduledDate < end && reservation.endDate > start)
+  ];
+
+  const clientReservation = overlapping.find(
+    (reservation) => reservation.clientId.toString() === clientId.toString()
+  );
+  if (clientReservation) {
+    return {
+      message: "El cliente ya tiene una reserva en ese horario",
+      slot: {
+        start: clientReservation.scheduledDate,
+        end: clientReservation.endDate,
+        reservationId: clientReservation._id
+      }
+    };
+  }
+
+  const vehicleReservation = vehicleId && overlapping.find(
+    (reservation) => reservation.vehicleId?.toString() === vehicleId.toString()
+  );
+  if (vehicleReservation) {
+    return {
+      message: "El vehículo ya tiene una reserva en ese horario",
+      slot: {
+        start: vehicleReservation.scheduledDate,
+        end: vehicleReservation.endDate,
+        reservationId: vehicleReservation._id
+      }
+    };
+  }
+
+  const technicianConflict = assignedTo && findTechnicianReservation(overlapping, assignedTo);
+  if (technicianConflict) {
+    return technicianConflict;
+  }
+
+  const fullSlot = findFullSlot(overlapping, start, end);
+  if (fullSlot) {
+    return {
+      message: "No hay bahías disponibles en el horario seleccionado",
+      slot: fullSlot
+    };
+  }
+
+  return null;
+};
+
+// Calcular los horarios libres de un día para un servicio
+// Devuelve un arreglo vacío si el taller está cerrado ese día
+export const getAvailableSlots = async (day, service) => {
+  const hours = getOpeningHours(day);
+  if (!hours || (await findClosure(day))) {
+    return [];
+  }
+
+  const { opening, closing } = hours;
+  const { slotInterval } = config.workshop;
+  const duration = await getServiceDuration(service);
+  const now = new Date();
+
+  const reservations = await findOverlappingReservations(opening, closing);
+
+  const slots = [];
+  for (
+    let start = opening;
+    start.getTime() + duration * 60000 <= closing.getTime();
+    start = new Date(start.getTime() + slotInterval * 60000)
+  ) {
+    if (start <= now) {
+      continue;
+    }
+
+    const end = new Date(start.getTime() + duration * 60000);
+    const overlapping = reservations.filter(
+      (reservation) => reservation.scheduledDate < end && reservation.endDate > start
+    );
+
+    if (!findFullSlot(overlapping, start, end)) {
+      slots.push({ start, end });
+    }
+  }
+
+  return slots;
+};
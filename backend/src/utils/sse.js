@@ -0,0 +1,32 @@
+// Intervalo en milisegundos entre los comentarios que mantienen abierta la conexión
+// Evita que los proxies cierren un flujo sin actividad
+const HEARTBEAT_INTERVAL = 25000;
+
+// Tiempo en milisegundos que espera el navegador antes de reconectarse
+const RETRY_DELAY = 5000;
+
+// Abrir un flujo de Server-Sent Events sobre la respuesta
+// Devuelve una función para enviar eventos; onClose se ejecuta cuando el cliente se desconecta
+export const openEventStream = (req, res, onClose) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    // Desactivar el buffer de proxies como Nginx
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
@@ -0,0 +1,36 @@
+import WebhookSubscription, { WEBHOOK_EVENTS } from "../models/WebhookSubscription.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { events } from "../events.js";
+
+// Registrar una entrega por cada webhook activo suscrito al evento
+const enqueueDeliveries = async (payload) => {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    events: payload.type
+  }).select("_id");
+
+  if (subscriptions.length === 0) {
+    return;
+  }
+
+  await WebhookDelivery.insertMany(
+    subscriptions.map((subscription) => ({
+      subscriptionId: subscription._id,
+      event: payload.type,
+      payload
+    }))
+  );
+};
+
+// Suscribir los webhooks a todos los eventos a los que pueden suscribirse
+export const registerWebhooks = () => {
+  WEBHOOK_EVENTS.forEach((type) => {
+    events.on(type, async (payload) => {
+      try {
+        await enqueueDeliveries(payload);
+      } catch (error) {
+        console.log("Error queuing webhook:", error);
+      }
+    });
+  });
+};
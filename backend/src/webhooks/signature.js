@@ -0,0 +1,8 @@
+import { createHmac } from "crypto";
+
+// Firmar el cuerpo de una entrega con el secreto del webhook
+// Se firma "<timestamp>.<cuerpo>" para que el receptor pueda rechazar entregas repetidas o antiguas
+export const signPayload = (secret, timestamp, body) => {
+  const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+};